@@ -0,0 +1,25 @@
+const express = require('express');
+const BookEmailAutomation = require('../../book-email-automation');
+const { createAdminRouter } = require('../../lib/admin-router');
+
+// Initialize email automation (singleton pattern for serverless)
+let emailAutomation;
+
+function getEmailAutomation() {
+  if (!emailAutomation) {
+    emailAutomation = new BookEmailAutomation();
+    emailAutomation.start();
+  }
+  return emailAutomation;
+}
+
+// Same admin router as the Express server; requests arrive as /admin/...
+// (through the vercel.json rewrite) or /api/admin/...
+const app = express();
+const router = createAdminRouter(getEmailAutomation);
+app.use('/api/admin', router);
+app.use('/admin', router);
+
+export default function handler(req, res) {
+  return app(req, res);
+}
@@ -0,0 +1,42 @@
+const BookEmailAutomation = require('../book-email-automation');
+const { confirmationPages, renderConfirmPage, renderPage } = require('../lib/pages');
+
+// Initialize email automation (singleton pattern for serverless)
+let emailAutomation;
+
+function getEmailAutomation() {
+  if (!emailAutomation) {
+    emailAutomation = new BookEmailAutomation();
+    emailAutomation.start();
+  }
+  return emailAutomation;
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+  // Confirmation link from the confirmation email - asks for a click, so
+  // link scanners don't confirm on the subscriber's behalf
+  if (req.method === 'GET') {
+    return res.status(200).send(renderConfirmPage(req.query.token || ''));
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).send(renderPage('Method not allowed', 'Use the link in your email to confirm.'));
+  }
+
+  try {
+    const automation = getEmailAutomation();
+    const result = await automation.confirm(req.query.token || (req.body && req.body.token));
+
+    if (process.env.CONFIRM_REDIRECT_URL) {
+      return res.redirect(`${process.env.CONFIRM_REDIRECT_URL}?status=${result.status}`);
+    }
+
+    const [title, message] = confirmationPages[result.status];
+    res.status(result.status === 'invalid' ? 400 : 200).send(renderPage(title, message));
+  } catch (error) {
+    console.error('❌ Confirmation error:', error);
+    res.status(500).send(renderPage('Something went wrong', 'Please try again or contact support.'));
+  }
+}
@@ -0,0 +1,15 @@
+const BookEmailAutomation = require('../../book-email-automation');
+const { createCronHandler } = require('../../lib/cron');
+
+// Initialize email automation (singleton pattern for serverless).
+// No start() here - this function is the scheduler
+let emailAutomation;
+
+function getEmailAutomation() {
+  if (!emailAutomation) {
+    emailAutomation = new BookEmailAutomation();
+  }
+  return emailAutomation;
+}
+
+export default createCronHandler(getEmailAutomation);
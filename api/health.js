@@ -11,7 +11,7 @@ function getEmailAutomation() {
   return emailAutomation;
 }
 
-export default function handler(req, res) {
+export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -32,7 +32,7 @@ export default function handler(req, res) {
     res.json({ 
       status: 'healthy', 
       automation: 'running',
-      stats: automation.getStats(),
+      stats: await automation.getStats(),
       timestamp: new Date().toISOString(),
       platform: 'vercel'
     });
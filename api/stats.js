@@ -11,7 +11,7 @@ function getEmailAutomation() {
   return emailAutomation;
 }
 
-export default function handler(req, res) {
+export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -30,7 +30,7 @@ export default function handler(req, res) {
     const automation = getEmailAutomation();
     
     res.json({
-      automation: automation.getStats(),
+      automation: await automation.getStats(),
       server: {
         platform: 'vercel',
         timestamp: new Date().toISOString(),
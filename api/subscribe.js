@@ -1,4 +1,7 @@
 const BookEmailAutomation = require('../book-email-automation');
+const { buildSubscribeResponse } = require('../lib/subscribe-responses');
+const { SubscribeGuard, clientIp } = require('../lib/subscribe-guard');
+const { captureConsent } = require('../lib/consent');
 
 // Initialize email automation (singleton pattern for serverless)
 let emailAutomation;
@@ -11,29 +14,53 @@ function getEmailAutomation() {
   return emailAutomation;
 }
 
-export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
-
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+let subscribeGuard;
 
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+function getSubscribeGuard() {
+  if (!subscribeGuard) {
+    const automation = getEmailAutomation();
+    subscribeGuard = new SubscribeGuard(automation.store, {
+      logEvent: (type, details) => automation.logEvent(type, details)
+    });
   }
+  return subscribeGuard;
+}
 
+export default async function handler(req, res) {
   try {
-    const { name, email } = req.body;
+    // Enable CORS for the configured landing pages (any origin when ALLOWED_ORIGINS is unset).
+    // Inside the try, so a store or config error still gets a JSON 500
+    const guard = getSubscribeGuard();
+    const origin = req.headers.origin;
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    if (guard.allowedOrigins.length === 0) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (guard.isAllowedOrigin(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+    res.setHeader(
+      'Access-Control-Allow-Headers',
+      'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+    );
+
+    if (req.method === 'OPTIONS') {
+      res.status(200).end();
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { name, email, sequence, source, timezone, timezoneOffset, fields, tags } = req.body;
     
-    // Validate input
+    // Validate input - email[]=... and the like parse to arrays, which
+    // would get past the checks below
+    if ([name, email, sequence, source].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ error: 'Name, email, sequence and source must be text' });
+    }
     if (!name || !email) {
       return res.status(400).json({ 
         error: 'Name and email are required',
@@ -50,20 +77,28 @@ export default async function handler(req, res) {
       });
     }
 
-    // Subscribe to email automation
     const automation = getEmailAutomation();
-    const subscriberId = await automation.subscribe(email, name);
-    
-    console.log(`✅ New subscriber: ${name} (${email}) - ID: ${subscriberId}`);
-    
-    // Success response for AJAX form
-    res.json({
-      success: true,
-      message: 'Successfully subscribed to journal prompts!',
-      subscriberId: subscriberId,
-      nextStep: 'Check your email for your free prompts'
+    if (sequence && !automation.sequences[sequence]) {
+      return res.status(400).json({ error: 'Unknown sequence', sequence });
+    }
+
+    const rejection = await guard.check({ ip: clientIp(req), origin, body: req.body });
+    if (rejection) {
+      if (rejection.silent) {
+        return res.json(buildSubscribeResponse({ subscriberId: null, sequence: null, outcome: 'subscribed' }));
+      }
+      if (rejection.retryAfter) res.setHeader('Retry-After', String(rejection.retryAfter));
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+
+    // Subscribe to email automation
+    const result = await automation.subscribe(email, name, {
+      sequence, source, timezone, timezoneOffset, fields, tags, consent: captureConsent(req, req.body)
     });
 
+    // Success response for AJAX form
+    res.json(buildSubscribeResponse(result));
+
   } catch (error) {
     console.error('❌ Subscription error:', error);
     res.status(500).json({ 
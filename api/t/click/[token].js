@@ -0,0 +1,31 @@
+const BookEmailAutomation = require('../../../book-email-automation');
+const { renderPage } = require('../../../lib/pages');
+
+// Initialize email automation (singleton pattern for serverless)
+let emailAutomation;
+
+function getEmailAutomation() {
+  if (!emailAutomation) {
+    emailAutomation = new BookEmailAutomation();
+    emailAutomation.start();
+  }
+  return emailAutomation;
+}
+
+// Tracked links in HTML emails - record the click, then send them on
+export default async function handler(req, res) {
+  try {
+    const url = await getEmailAutomation().recordClick(req.query.token);
+
+    if (!url) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(400).send(renderPage('Invalid link', 'This link looks broken. Please use the link from your most recent email.'));
+    }
+
+    res.redirect(302, url);
+  } catch (error) {
+    console.error('❌ Click tracking error:', error);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.status(500).send(renderPage('Something went wrong', 'Please try the link again in a moment.'));
+  }
+}
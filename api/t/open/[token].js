@@ -0,0 +1,27 @@
+const BookEmailAutomation = require('../../../book-email-automation');
+const { PIXEL_GIF } = require('../../../lib/tracking');
+
+// Initialize email automation (singleton pattern for serverless)
+let emailAutomation;
+
+function getEmailAutomation() {
+  if (!emailAutomation) {
+    emailAutomation = new BookEmailAutomation();
+    emailAutomation.start();
+  }
+  return emailAutomation;
+}
+
+// Open tracking pixel in HTML emails
+export default async function handler(req, res) {
+  try {
+    await getEmailAutomation().recordOpen(req.query.token);
+  } catch (error) {
+    // The image still loads - a lost open isn't worth a broken email
+    console.error('❌ Open tracking error:', error);
+  }
+
+  res.setHeader('Content-Type', 'image/gif');
+  res.setHeader('Cache-Control', 'no-store, max-age=0');
+  res.status(200).send(PIXEL_GIF);
+}
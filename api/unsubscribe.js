@@ -0,0 +1,37 @@
+const BookEmailAutomation = require('../book-email-automation');
+const { renderPage, renderUnsubscribeConfirmPage, unsubscribePages } = require('../lib/pages');
+
+// Initialize email automation (singleton pattern for serverless)
+let emailAutomation;
+
+function getEmailAutomation() {
+  if (!emailAutomation) {
+    emailAutomation = new BookEmailAutomation();
+    emailAutomation.start();
+  }
+  return emailAutomation;
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+  // Unsubscribe link in every email - asks for a click before unsubscribing
+  if (req.method === 'GET') {
+    return res.status(200).send(renderUnsubscribeConfirmPage(req.query.token || ''));
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).send(renderPage('Method not allowed', 'Use the link in your email to unsubscribe.'));
+  }
+
+  // Unsubscribe form and RFC 8058 one-click requests from mail clients
+  try {
+    const automation = getEmailAutomation();
+    const result = await automation.unsubscribe(req.query.token || (req.body && req.body.token));
+    const [title, message] = unsubscribePages[result.status];
+    res.status(result.status === 'invalid' ? 400 : 200).send(renderPage(title, message));
+  } catch (error) {
+    console.error('❌ Unsubscribe error:', error);
+    res.status(500).send(renderPage('Something went wrong', 'Please try again or reply to any email to unsubscribe.'));
+  }
+}
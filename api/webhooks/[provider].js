@@ -0,0 +1,27 @@
+const express = require('express');
+const BookEmailAutomation = require('../../book-email-automation');
+const { createWebhookRouter } = require('../../lib/webhooks');
+
+// Initialize email automation (singleton pattern for serverless)
+let emailAutomation;
+
+function getEmailAutomation() {
+  if (!emailAutomation) {
+    emailAutomation = new BookEmailAutomation();
+    emailAutomation.start();
+  }
+  return emailAutomation;
+}
+
+// Same webhook router as the Express server. Signatures are checked on the
+// raw body, so this function alone turns off Vercel's body parsing
+export const config = { api: { bodyParser: false } };
+
+const app = express();
+const router = createWebhookRouter(getEmailAutomation);
+app.use('/api/webhooks', router);
+app.use('/webhooks', router);
+
+export default function handler(req, res) {
+  return app(req, res);
+}
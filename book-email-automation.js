@@ -4,653 +4,1902 @@
  * Book Marketing Email Automation System
  * 
  * This script sets up automated email sequences for the journal prompts lead magnet.
- * It can integrate with multiple email providers and handle the 5-email nurture sequence.
+ * It can integrate with multiple email providers and handle the 5-email nurture sequence,
+ * plus any other lead magnet funnels, each written as Markdown files under sequences/.
  */
 
+const { randomUUID } = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-
-// Email sequence from the markdown file
-const emailSequence = [
-    {
-        id: 1,
-        delay: 0, // Immediate
-        subject: "Your 50 Transition Journal Prompts are here! 📝",
-        template: "welcome-immediate"
-    },
-    {
-        id: 2,
-        delay: 24 * 60 * 60 * 1000, // 24 hours
-        subject: "The day I threw away 3 journals (and immediately regretted it)",
-        template: "story-social-proof"
-    },
-    {
-        id: 3,
-        delay: 48 * 60 * 60 * 1000, // 48 hours
-        subject: "The \"Future Self\" technique that changes everything",
-        template: "advanced-technique"
-    },
-    {
-        id: 4,
-        delay: 72 * 60 * 60 * 1000, // 72 hours
-        subject: "From \"I don't know what I'm doing\" to \"I'm figuring it out\"",
-        template: "transformation-soft-pitch"
-    },
-    {
-        id: 5,
-        delay: 96 * 60 * 60 * 1000, // 96 hours
-        subject: "Your journaling journey starts with your next sentence",
-        template: "final-value-cta"
-    }
-];
+const { compileSegment, ConditionSyntaxError } = require('./lib/conditions');
+const { normalizeEmail } = require('./lib/email-address');
+const { createProvider } = require('./lib/providers');
+const { loadSequences, loadTemplates } = require('./lib/sequence-loader');
+const { mergeProfile } = require('./lib/profile');
+const { summarizeBroadcast, throttledSendTimes } = require('./lib/broadcasts');
+const { CsvSyntaxError, formatCsv, parseCsv } = require('./lib/csv');
+const {
+    CsvMappingError,
+    EMAIL_PATTERN,
+    STATUSES,
+    parseMapping,
+    readRow,
+    resolveColumns
+} = require('./lib/subscriber-csv');
+const { createStore } = require('./lib/stores');
+const { METRICS, SETTLE_TIME, assignVariant, pickWinner, summarizeVariants } = require('./lib/experiments');
+const { isExpired, requireSecret, signToken, verifyToken } = require('./lib/tokens');
+const { addTracking, formatRate } = require('./lib/tracking');
+const { redactAddresses, suppressionKey, SuppressedAddressError } = require('./lib/suppression');
+const {
+    DAY,
+    addLocalDays,
+    isValidTimezone,
+    localParts,
+    nextSendableTime,
+    parseQuietHours,
+    resolveTimezone,
+    zonedTimeToUtc
+} = require('./lib/timezone');
 
 // Configuration for different email providers
 const emailProviders = {
     mailchimp: {
-        apiKey: process.env.MAILCHIMP_API_KEY,
+        apiKey: process.env.MAILCHIMP_API_KEY, // Mailchimp Transactional key
         listId: process.env.MAILCHIMP_LIST_ID,
-        server: process.env.MAILCHIMP_SERVER
+        server: process.env.MAILCHIMP_SERVER,
+        baseUrl: process.env.MAILCHIMP_BASE_URL
     },
     convertkit: {
         apiKey: process.env.CONVERTKIT_API_KEY,
         apiSecret: process.env.CONVERTKIT_API_SECRET,
-        formId: process.env.CONVERTKIT_FORM_ID
+        formId: process.env.CONVERTKIT_FORM_ID,
+        baseUrl: process.env.CONVERTKIT_BASE_URL
     },
     sendgrid: {
         apiKey: process.env.SENDGRID_API_KEY,
-        fromEmail: process.env.FROM_EMAIL || 'support@spoonseller.com'
-    }
+        baseUrl: process.env.SENDGRID_BASE_URL
+    },
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        secure: process.env.SMTP_SECURE === 'true', // Implicit TLS, usually port 465
+        startTls: process.env.SMTP_STARTTLS !== 'false',
+        rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+        allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true' // Send credentials without TLS
+    },
+    console: {}
+};
+
+// Who the emails come from, whichever provider sends them
+const sender = {
+    email: process.env.FROM_EMAIL || 'support@spoonseller.com',
+    name: process.env.FROM_NAME || 'Robert'
 };
 
+// Longest wait between retries of a failed send
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+
+// Where links in emails (confirmation, unsubscribe, tracking) point back to
+const publicBaseUrl = process.env.PUBLIC_BASE_URL ||
+    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : `http://localhost:${process.env.PORT || 3004}`);
+
 class BookEmailAutomation {
-    constructor(provider = 'sendgrid') {
+    constructor(provider = process.env.EMAIL_PROVIDER || 'sendgrid', options = {}) {
+        // Fail at startup rather than on the first email with a link in it
+        requireSecret();
         this.provider = provider;
-        this.config = emailProviders[provider];
-        this.subscribers = new Map(); // In-memory storage for demo
-        this.automationQueue = [];
+        this.publicBaseUrl = publicBaseUrl;
+        this.config = { ...emailProviders[provider], ...options.providerConfig };
+        this.transport = this.createTransport();
+        this.store = options.store || createStore(options.storeOptions);
+        this.doubleOptIn = options.doubleOptIn !== undefined
+            ? options.doubleOptIn
+            : process.env.DOUBLE_OPT_IN === 'true';
+        this.confirmationWindow = options.confirmationWindow ||
+            (Number(process.env.CONFIRMATION_WINDOW_HOURS) || 48) * 60 * 60 * 1000;
+        this.resubscribeMode = options.resubscribeMode || process.env.RESUBSCRIBE_MODE || 'ignore';
+        this.stripPlusTags = options.stripPlusTags !== undefined
+            ? options.stripPlusTags
+            : process.env.STRIP_PLUS_TAGS === 'true';
+        this.sequencesDir = options.sequencesDir || process.env.SEQUENCES_DIR || path.join(__dirname, 'sequences');
+        this.defaultSequence = options.defaultSequence || process.env.DEFAULT_SEQUENCE || 'journal-prompts';
+        this.templatesDir = options.templatesDir || path.join(__dirname, 'templates');
+        // Identifies this process's leases on queue items
+        this.workerId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+        this.leaseDuration = options.leaseDuration ||
+            (Number(process.env.QUEUE_LEASE_SECONDS) || 300) * 1000;
+        this.maxSendAttempts = options.maxSendAttempts || Number(process.env.MAX_SEND_ATTEMPTS) || 5;
+        this.retryBaseDelay = options.retryBaseDelay ||
+            (Number(process.env.RETRY_BASE_DELAY_MINUTES) || 5) * 60 * 1000;
+        // Open pixel and click redirects in HTML emails (EMAIL_TRACKING=false turns them off)
+        this.tracking = options.tracking !== undefined
+            ? options.tracking
+            : process.env.EMAIL_TRACKING !== 'false';
+        // Clicks on links matching this count as book conversions
+        this.conversionLink = new RegExp(options.conversionLink || process.env.CONVERSION_LINK_PATTERN || 'amazon\\.|amzn\\.to', 'i');
+        // Send times for subscribers whose form didn't tell us their timezone
+        this.defaultTimezone = options.defaultTimezone || process.env.DEFAULT_TIMEZONE || 'UTC';
+        // Server-wide defaults for sequences that don't set quietHours/skipWeekends
+        this.quietHours = options.quietHours !== undefined
+            ? options.quietHours
+            : parseQuietHours(process.env.QUIET_HOURS);
+        this.skipWeekends = options.skipWeekends !== undefined
+            ? options.skipWeekends
+            : process.env.SKIP_WEEKENDS === 'true';
+        if (!isValidTimezone(this.defaultTimezone)) {
+            throw new Error(`Unknown DEFAULT_TIMEZONE: ${this.defaultTimezone}`);
+        }
+        // A/B tests: promote the best variant once each has this many sends (0 = never)
+        this.abPromoteAfter = options.abPromoteAfter || Number(process.env.AB_PROMOTE_AFTER) || 0;
+        this.abPromoteMetric = options.abPromoteMetric || process.env.AB_PROMOTE_METRIC || 'clicks';
+        if (!METRICS[this.abPromoteMetric]) {
+            throw new Error(`Unknown AB_PROMOTE_METRIC: ${this.abPromoteMetric} (use ${Object.keys(METRICS).join(', ')})`);
+        }
+        // Promoted winners by "sequence:emailId", once seen
+        this.promotedVariants = new Map();
+        // Steps found to have no winner yet, rechecked on the next queue run
+        this.promotionChecked = new Set();
+        // Broadcast sends per minute (see lib/broadcasts.js)
+        this.broadcastRate = options.broadcastRate || Number(process.env.BROADCAST_RATE_PER_MINUTE) || 60;
+        // Echo activity log entries to stdout as JSON lines (EVENT_LOG_STDOUT=false turns it off)
+        this.logToStdout = options.logToStdout !== undefined
+            ? options.logToStdout
+            : process.env.EVENT_LOG_STDOUT !== 'false';
         this.setupTemplates();
     }
 
+    // Fall back to logging emails when the provider isn't configured,
+    // so local development and the CLI demo work out of the box
+    createTransport() {
+        const configured = this.provider === 'smtp' ? this.config.host : this.config.apiKey;
+        if (this.provider !== 'console' && emailProviders[this.provider] && !configured) {
+            console.warn(`⚠️  No credentials configured for ${this.provider} - emails will be logged, not sent`);
+            this.sendingProvider = 'console';
+            return createProvider('console');
+        }
+
+        // What actually sends, for the activity log
+        this.sendingProvider = this.provider;
+        return createProvider(this.provider, this.config);
+    }
+
+    // Load every sequence and the standalone emails from their Markdown files,
+    // compiled into render functions (see lib/template-engine.js)
     setupTemplates() {
-        this.templates = {
-            'welcome-immediate': {
-                subject: emailSequence[0].subject,
-                html: this.generateWelcomeEmail(),
-                text: this.generateWelcomeEmailText()
-            },
-            'story-social-proof': {
-                subject: emailSequence[1].subject,
-                html: this.generateStoryEmail(),
-                text: this.generateStoryEmailText()
-            },
-            'advanced-technique': {
-                subject: emailSequence[2].subject,
-                html: this.generateTechniqueEmail(),
-                text: this.generateTechniqueEmailText()
-            },
-            'transformation-soft-pitch': {
-                subject: emailSequence[3].subject,
-                html: this.generateTransformationEmail(),
-                text: this.generateTransformationEmailText()
-            },
-            'final-value-cta': {
-                subject: emailSequence[4].subject,
-                html: this.generateFinalEmail(),
-                text: this.generateFinalEmailText()
+        this.sequences = loadSequences(this.sequencesDir);
+        this.templates = loadTemplates(this.templatesDir);
+
+        if (!this.sequences[this.defaultSequence]) {
+            throw new Error(`Default sequence "${this.defaultSequence}" not found in ${this.sequencesDir}`);
+        }
+    }
+
+    // Pick the funnel for a signup: an explicit sequence name wins, then the
+    // sequence that lists the signup source, then the default sequence
+    resolveSequence({ sequence, source } = {}) {
+        if (sequence) {
+            if (!this.sequences[sequence]) {
+                throw new Error(`Unknown sequence: ${sequence}`);
             }
-        };
+            return sequence;
+        }
+
+        const routed = source && Object.values(this.sequences).find(s => s.sources.includes(source));
+        return routed ? routed.name : this.defaultSequence;
     }
 
     // Subscribe new user and start automation
-    async subscribe(email, firstName) {
-        const subscriberId = `${email}_${Date.now()}`;
-        const subscriber = {
-            id: subscriberId,
-            email,
+    // (with double opt-in, the sequence only starts once they confirm).
+    // Resolves to { subscriberId, sequence, outcome } so the form can tell people what happened:
+    // 'subscribed', 'pending', 'already-subscribed', 'restarted' or 'resumed'.
+    // options.timezone (IANA name) or options.timezoneOffset (minutes, as
+    // from Date#getTimezoneOffset) set the subscriber's local send times.
+    // options.consent (see lib/consent.js) is kept in the subscriber's
+    // `consents`, one entry per signup. options.fields and options.tags set
+    // custom fields and tags (lib/profile.js)
+    async subscribe(email, firstName, options = {}) {
+        const sequence = this.resolveSequence(options);
+        const timezone = resolveTimezone(options);
+        const consent = this.consentRecord(sequence, options);
+        const logSubscribe = async result => {
+            await this.logEvent('subscribed', {
+                subscriberId: result.subscriberId,
+                sequence,
+                outcome: result.outcome,
+                source: options.source || null
+            });
+            return result;
+        };
+
+        if (await this.getSuppression(email)) {
+            return logSubscribe({ subscriberId: null, sequence, outcome: 'suppressed' });
+        }
+
+        const emailKey = normalizeEmail(email, { stripPlusTags: this.stripPlusTags });
+        const existing = await this.store.findSubscriberByEmail(emailKey);
+        if (existing) {
+            // The new consent, fields and tags are only saved when the
+            // submission changes something, so a stranger typing in someone
+            // else's address can't rewrite their profile
+            return logSubscribe(await this.resubscribe({
+                ...existing,
+                ...mergeProfile(existing, options),
+                timezone: timezone || existing.timezone,
+                consents: [...existing.consents || [], consent]
+            }, firstName, sequence, options.source));
+        }
+
+        const now = new Date();
+        const status = this.doubleOptIn ? 'pending' : 'active';
+        const subscriber = await this.store.saveSubscriber({
+            id: randomUUID(),
+            email: email.trim(),
+            emailKey,
             firstName,
-            subscribedAt: new Date(),
+            ...mergeProfile({}, options),
+            timezone: timezone || this.defaultTimezone,
+            subscribedAt: now.toISOString(),
             emailsSent: 0,
-            status: 'active'
-        };
+            status,
+            consents: [consent],
+            sequences: {
+                [sequence]: this.createMembership(status, options.source)
+            },
+            ...(this.doubleOptIn ? {
+                confirmationExpiresAt: new Date(now.getTime() + this.confirmationWindow).toISOString()
+            } : {})
+        });
 
-        this.subscribers.set(subscriberId, subscriber);
-        
-        // Schedule all emails in the sequence
-        this.scheduleEmailSequence(subscriber);
+        if (this.doubleOptIn) {
+            await this.sendConfirmationEmail(subscriber);
+            return logSubscribe({ subscriberId: subscriber.id, sequence, outcome: 'pending' });
+        }
         
-        // Send immediate welcome email
-        await this.sendEmail(subscriber, this.templates['welcome-immediate']);
+        await this.startSequence(subscriber, sequence);
         
-        console.log(`✅ Subscribed: ${firstName} (${email})`);
-        return subscriberId;
+        return logSubscribe({ subscriberId: subscriber.id, sequence, outcome: 'subscribed' });
     }
 
-    scheduleEmailSequence(subscriber) {
-        emailSequence.forEach((emailConfig, index) => {
-            if (index === 0) return; // Skip first email (sent immediately)
-            
-            const sendTime = new Date(subscriber.subscribedAt.getTime() + emailConfig.delay);
-            this.automationQueue.push({
-                subscriberId: subscriber.id,
-                emailId: emailConfig.id,
-                templateName: emailConfig.template,
-                scheduledFor: sendTime,
-                subject: emailConfig.subject
+    // Signups through the library API or CLI have no request to record
+    consentRecord(sequence, { source, consent = {} }) {
+        return {
+            consentedAt: new Date().toISOString(),
+            ip: null,
+            userAgent: null,
+            pageUrl: null,
+            referrer: null,
+            utm: {},
+            consentVersion: null,
+            ...consent,
+            sequence,
+            source: source || null
+        };
+    }
+
+    createMembership(status, source) {
+        return { status, joinedAt: new Date().toISOString(), source: source || null };
+    }
+
+    // Subscribers stored before named sequences were all in the default one
+    memberships(subscriber) {
+        if (subscriber.sequences) return subscriber.sequences;
+
+        const status = subscriber.status === 'unsubscribed' ? 'cancelled' : subscriber.status;
+        return {
+            [this.defaultSequence]: {
+                status,
+                joinedAt: subscriber.subscribedAt,
+                source: null,
+                ...(subscriber.pendingAction ? { pendingAction: subscriber.pendingAction } : {})
+            }
+        };
+    }
+
+    withMembership(subscriber, sequence, changes) {
+        const memberships = this.memberships(subscriber);
+        return {
+            ...subscriber,
+            sequences: {
+                ...memberships,
+                [sequence]: { ...memberships[sequence], ...changes }
+            }
+        };
+    }
+
+    // The same address submitted a form again. Joining a sequence they aren't
+    // in yet is treated as a new signup for that funnel. For a sequence they
+    // already belong to, resubscribeMode decides: 'ignore' leaves everything
+    // as it is (unsubscribed addresses stay unsubscribed), 'restart' sends the
+    // sequence again from the welcome email, 'resume' picks up at the first
+    // email not yet sent
+    async resubscribe(existing, firstName, sequence, source) {
+        const subscriber = { ...existing, firstName: firstName || existing.firstName };
+        const membership = this.memberships(subscriber)[sequence];
+        const expiresAt = new Date(Date.now() + this.confirmationWindow).toISOString();
+        const result = outcome => ({ subscriberId: subscriber.id, sequence, outcome });
+
+        // Paused by an admin - a new form submission doesn't override that
+        if (subscriber.status === 'paused') {
+            return result('already-subscribed');
+        }
+
+        // Still unconfirmed - they probably lost the first confirmation email
+        if (subscriber.status === 'pending') {
+            const refreshed = await this.store.saveSubscriber({
+                ...this.withMembership(subscriber, sequence, membership || this.createMembership('pending', source)),
+                confirmationExpiresAt: expiresAt
+            });
+            await this.sendConfirmationEmail(refreshed);
+            return result('pending');
+        }
+
+        if (!membership) {
+            if (this.doubleOptIn && subscriber.status !== 'active') {
+                const pending = await this.store.saveSubscriber({
+                    ...this.withMembership(subscriber, sequence, this.createMembership('pending', source)),
+                    status: 'pending',
+                    confirmationExpiresAt: expiresAt
+                });
+                await this.sendConfirmationEmail(pending);
+                return result('pending');
+            }
+
+            const joined = await this.store.saveSubscriber({
+                ...this.withMembership(subscriber, sequence, this.createMembership('active', source)),
+                status: 'active'
             });
+            await this.startSequence(joined, sequence);
+            return result('subscribed');
+        }
+
+        const inProgress = subscriber.status === 'active' && membership.status === 'active';
+        if (this.resubscribeMode === 'ignore' || (this.resubscribeMode === 'resume' && inProgress)) {
+            return result('already-subscribed');
+        }
+
+        // Coming back after unsubscribing or expiring needs a fresh confirmation
+        if (this.doubleOptIn && subscriber.status !== 'active') {
+            const pending = await this.store.saveSubscriber({
+                ...this.withMembership(subscriber, sequence, { status: 'pending', pendingAction: this.resubscribeMode }),
+                status: 'pending',
+                confirmationExpiresAt: expiresAt
+            });
+            await this.sendConfirmationEmail(pending);
+            return result('pending');
+        }
+
+        const reactivated = await this.store.saveSubscriber({
+            ...this.withMembership(subscriber, sequence, { status: 'active' }),
+            status: 'active',
+            resubscribedAt: new Date().toISOString()
         });
-        
-        console.log(`📅 Scheduled ${emailSequence.length - 1} follow-up emails for ${subscriber.email}`);
+        return this.applyResubscribe(reactivated, sequence, this.resubscribeMode);
     }
 
-    // Process automation queue
-    async processAutomationQueue() {
-        const now = new Date();
-        const readyToSend = this.automationQueue.filter(item => 
-            item.scheduledFor <= now && item.status !== 'sent'
-        );
+    async applyResubscribe(subscriber, sequence, mode) {
+        await this.cancelQueuedEmails(subscriber.id, sequence);
 
-        for (const queueItem of readyToSend) {
-            const subscriber = this.subscribers.get(queueItem.subscriberId);
-            if (subscriber && subscriber.status === 'active') {
-                const template = this.templates[queueItem.templateName];
-                await this.sendEmail(subscriber, template);
-                queueItem.status = 'sent';
-                queueItem.sentAt = now;
-                subscriber.emailsSent++;
-                
-                console.log(`📧 Sent email ${queueItem.emailId} to ${subscriber.email}`);
+        if (mode === 'resume') {
+            const sent = await this.store.listQueueItems({ subscriberId: subscriber.id, status: 'sent' });
+            const sentIds = new Set(sent.filter(item => this.sequenceOf(item) === sequence).map(item => item.emailId));
+            const remaining = this.sequences[sequence].steps.filter(step => !sentIds.has(step.id));
+
+            if (remaining.length > 0) {
+                await this.startSequence(subscriber, sequence, remaining);
             }
+            return { subscriberId: subscriber.id, sequence, outcome: 'resumed' };
         }
+
+        await this.startSequence(subscriber, sequence);
+        return { subscriberId: subscriber.id, sequence, outcome: 'restarted' };
     }
 
-    async sendEmail(subscriber, template) {
-        // Personalize email content
-        const personalizedHtml = template.html
-            .replace(/\[First Name\]/g, subscriber.firstName)
-            .replace(/{{firstName}}/g, subscriber.firstName);
-        
-        const personalizedText = template.text
-            .replace(/\[First Name\]/g, subscriber.firstName)
-            .replace(/{{firstName}}/g, subscriber.firstName);
-
-        // For demo purposes, log the email
-        console.log(`\n📧 EMAIL SENT TO: ${subscriber.email}`);
-        console.log(`📝 SUBJECT: ${template.subject}`);
-        console.log(`📄 CONTENT PREVIEW: ${personalizedText.substring(0, 200)}...`);
-        console.log(`🔗 Amazon Book Link: https://www.amazon.com/dp/B0DPJ6878P/`);
+    // Schedule the given steps starting now and send the first one straight away
+    async startSequence(subscriber, sequence, steps = this.sequences[sequence].steps) {
+        // Schedule all emails in the sequence
+        const [firstItem] = await this.scheduleEmailSequence(subscriber, sequence, steps);
         
-        // In production, this would integrate with actual email service
-        // await this.sendViaProvider(subscriber.email, template.subject, personalizedHtml, personalizedText);
+        // Send immediate welcome email (or the next one, when resuming).
+        // If the provider is down the queue retries it, the signup still succeeds
+        await this.deliverQueueItem(firstItem, subscriber);
+    }
+
+    async sendConfirmationEmail(subscriber) {
+        // The link lasts as long as the confirmation window
+        const token = signToken('confirm', { sid: subscriber.id }, { expiresIn: this.confirmationWindow });
+        return this.sendEmail(subscriber, this.templates['confirm-subscription'], {
+            confirmUrl: `${publicBaseUrl}/confirm?token=${encodeURIComponent(token)}`
+        }, { templateName: 'confirm-subscription' });
+    }
+
+    // Activate a pending subscriber from the link in their confirmation email.
+    // Resolves to { status } - 'confirmed', 'already-confirmed', 'expired',
+    // 'inactive' (unsubscribed, paused, bounced, ... since) or 'invalid'
+    async confirm(token) {
+        const payload = verifyToken('confirm', token, { allowExpired: true });
+        const subscriber = payload && await this.store.getSubscriber(payload.sid);
+        if (!subscriber) {
+            return { status: 'invalid' };
+        }
+        // An old link - a newer confirmation email may still be good, so the
+        // subscriber is left as they are
+        if (isExpired(payload) && subscriber.status === 'pending') {
+            return { status: 'expired', subscriberId: subscriber.id };
+        }
+
+        if (subscriber.status !== 'pending') {
+            const statuses = { active: 'already-confirmed', expired: 'expired' };
+            return { status: statuses[subscriber.status] || 'inactive', subscriberId: subscriber.id };
+        }
+
+        if (new Date(subscriber.confirmationExpiresAt) < new Date()) {
+            await this.store.saveSubscriber({ ...subscriber, status: 'expired' });
+            await this.logEvent('expired', { subscriberId: subscriber.id });
+            return { status: 'expired', subscriberId: subscriber.id };
+        }
+
+        // Start every sequence they signed up for while unconfirmed
+        const waiting = Object.entries(this.memberships(subscriber)).filter(([, membership]) => membership.status === 'pending');
+        const { pendingAction, ...rest } = subscriber;
+        let confirmed = { ...rest, status: 'active', confirmedAt: new Date().toISOString() };
+        waiting.forEach(([sequence]) => {
+            confirmed = this.withMembership(confirmed, sequence, { status: 'active', pendingAction: undefined });
+        });
+        confirmed = await this.store.saveSubscriber(confirmed);
+
+        for (const [sequence, membership] of waiting) {
+            if (membership.pendingAction) {
+                await this.applyResubscribe(confirmed, sequence, membership.pendingAction);
+            } else {
+                await this.startSequence(confirmed, sequence);
+            }
+        }
+
+        await this.logEvent('confirmed', { subscriberId: subscriber.id, sequences: waiting.map(([sequence]) => sequence) });
+        return { status: 'confirmed', subscriberId: subscriber.id };
+    }
+
+    // Expire pending subscribers who never clicked their confirmation link
+    async expirePendingSubscribers() {
+        const now = new Date();
+        const pending = await this.store.listSubscribers({ status: 'pending' });
+        const expired = pending.filter(subscriber => new Date(subscriber.confirmationExpiresAt) < now);
+
+        for (const subscriber of expired) {
+            await this.store.saveSubscriber({ ...subscriber, status: 'expired' });
+            await this.logEvent('expired', { subscriberId: subscriber.id });
+        }
+        return expired.length;
+    }
+
+    unsubscribeUrl(subscriber) {
+        const token = signToken('unsubscribe', { sid: subscriber.id });
+        return `${publicBaseUrl}/unsubscribe?token=${encodeURIComponent(token)}`;
+    }
+
+    // Handle a click on an unsubscribe link (or an RFC 8058 one-click POST).
+    // Resolves to { status } - 'unsubscribed', 'already-unsubscribed' or 'invalid'
+    async unsubscribe(token) {
+        const payload = verifyToken('unsubscribe', token);
+        const subscriber = payload && await this.store.getSubscriber(payload.sid);
+        if (!subscriber) {
+            return { status: 'invalid' };
+        }
+
+        if (subscriber.status === 'unsubscribed') {
+            return { status: 'already-unsubscribed', subscriberId: subscriber.id };
+        }
+
+        await this.unsubscribeSubscriber(subscriber, 'link');
+        return { status: 'unsubscribed', subscriberId: subscriber.id };
+    }
+
+    // `via` is 'link' or the provider that reported it
+    async unsubscribeSubscriber(subscriber, via) {
+        await this.store.saveSubscriber({
+            ...this.withoutMemberships(subscriber),
+            status: 'unsubscribed',
+            unsubscribedAt: new Date().toISOString()
+        });
+        const emailsCancelled = await this.cancelQueuedEmails(subscriber.id);
+
+        await this.logEvent('unsubscribed', { subscriberId: subscriber.id, via, emailsCancelled });
+    }
+
+    withoutMemberships(subscriber) {
+        let cancelled = subscriber;
+        Object.keys(this.memberships(subscriber)).forEach(sequence => {
+            cancelled = this.withMembership(cancelled, sequence, { status: 'cancelled' });
+        });
+        return cancelled;
+    }
+
+    // Cancel everything still queued for a subscriber, or only one sequence's emails
+    async cancelQueuedEmails(subscriberId, sequence) {
+        const pending = (await this.store.listQueueItems({ subscriberId, status: 'pending' }))
+            .filter(item => !sequence || this.sequenceOf(item) === sequence);
+
+        for (const item of pending) {
+            await this.store.updateQueueItem(item.id, {
+                status: 'cancelled',
+                cancelledAt: new Date().toISOString()
+            });
+        }
+        return pending.length;
+    }
+
+    // Delays and send days are kept relative to the first step, so a resumed
+    // sequence keeps its original spacing. The first email is due now and
+    // leased for the caller to send, unless `firstSendAt` leaves it to the queue
+    async scheduleEmailSequence(subscriber, sequence, steps = this.sequences[sequence].steps, { firstSendAt } = {}) {
+        const start = firstSendAt ? firstSendAt.getTime() : Date.now();
+        const startedAt = start - (steps[0].send ? steps[0].send.day * DAY : steps[0].delay);
+        const items = await this.store.addQueueItems(steps.map((emailConfig, index) => ({
+            subscriberId: subscriber.id,
+            sequence,
+            emailId: emailConfig.id,
+            templateName: emailConfig.template,
+            scheduledFor: (index === 0
+                ? new Date(start)
+                : this.sendTimeFor(emailConfig, startedAt, subscriber, sequence)).toISOString(),
+            subject: emailConfig.subject,
+            // The first email is sent right away by the caller - lease it so
+            // a queue tick elsewhere doesn't pick it up at the same time
+            ...(index === 0 && !firstSendAt ? this.newLease() : {})
+        })));
         
-        return { success: true, messageId: `msg_${Date.now()}` };
+        for (const item of items) {
+            await this.logEvent('scheduled', {
+                subscriberId: subscriber.id,
+                sequence,
+                emailId: item.emailId,
+                queueItemId: item.id,
+                scheduledFor: item.scheduledFor
+            });
+        }
+        return items;
     }
 
-    generateWelcomeEmail() {
-        return `
-<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8"><title>Welcome to Your Journaling Journey</title></head>
-<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-    <h1 style="color: #7c3aed;">Your 50 Transition Journal Prompts are here! 📝</h1>
-    
-    <p>Hi {{firstName}},</p>
-    
-    <p>Welcome! I'm excited you've decided to explore journaling through life's transitions.</p>
-    
-    <p><strong><a href="https://ibadukefan.github.io/journal-prompts/50-journal-prompts.html" style="background: #7c3aed; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">📥 Download Your 50 Prompts</a></strong></p>
-    
-    <p>These prompts have helped thousands of people navigate:</p>
-    <ul>
-        <li>Career changes and new jobs</li>
-        <li>Relationship transitions (including divorce)</li>
-        <li>Major moves and relocations</li>
-        <li>Life milestones and personal growth</li>
-    </ul>
-    
-    <p><strong>Quick start tip:</strong> Don't overthink it. Pick ONE prompt that speaks to you right now and write for just 5 minutes. No editing, no judgment - just let your thoughts flow.</p>
-    
-    <p>The magic happens when you give yourself permission to be honest on the page.</p>
-    
-    <p>I'll be sharing more journaling insights with you over the next few days. Check your inbox tomorrow for a powerful technique that changed everything for me.</p>
-    
-    <p>Happy writing,<br>Robert</p>
-    
-    <p><em>P.S. I'm always available if you have questions about your journaling journey. Just hit reply!</em></p>
-    
-    <hr style="margin: 30px 0;">
-    <p style="font-size: 12px; color: #666;">
-        Spoon Seller LLC | <a href="mailto:support@spoonseller.com">support@spoonseller.com</a>
-    </p>
-</body>
-</html>`;
+    // When a follow-up goes out: "day N at HH:MM" in the subscriber's
+    // timezone, or the step's delay after the sequence started - then moved
+    // past the sequence's quiet hours and weekends
+    sendTimeFor(step, startedAt, subscriber, sequence) {
+        const zone = isValidTimezone(subscriber.timezone) ? subscriber.timezone : this.defaultTimezone;
+        const settings = this.sequences[sequence];
+        const sendWindow = {
+            quietHours: settings.quietHours !== undefined ? settings.quietHours : this.quietHours,
+            skipWeekends: settings.skipWeekends !== undefined ? settings.skipWeekends : this.skipWeekends
+        };
+
+        const due = step.send
+            ? zonedTimeToUtc({
+                ...addLocalDays(localParts(new Date(startedAt), zone), step.send.day),
+                hour: step.send.hour,
+                minute: step.send.minute
+            }, zone)
+            : new Date(startedAt + step.delay);
+        return nextSendableTime(due, zone, sendWindow);
     }
 
-    generateWelcomeEmailText() {
-        return `Your 50 Transition Journal Prompts are here! 📝
+    newLease() {
+        return {
+            claimedBy: this.workerId,
+            leaseExpiresAt: new Date(Date.now() + this.leaseDuration).toISOString()
+        };
+    }
 
-Hi {{firstName}},
+    // Process automation queue. Due items are leased to this worker first,
+    // so other instances (every api/*.js function on Vercel runs its own
+    // timer) skip them. Ticks never overlap within one instance.
+    //
+    // Drains in batches until nothing is due or `timeBudget` (ms) runs out;
+    // items claimed but not reached in time are released for the next run.
+    // Resolves to a summary: { sent, retrying, deadLettered, suppressed,
+    // conditionsNotMet, skipped, deferred, durationMs }, or { running: true }
+    // when a run is already in progress
+    async processAutomationQueue({ timeBudget = Infinity, batchSize = 50 } = {}) {
+        if (this.processing) {
+            await this.logEvent('queue-run-skipped', { reason: 'in-progress', workerId: this.workerId });
+            return { running: true };
+        }
 
-Welcome! I'm excited you've decided to explore journaling through life's transitions.
+        const startedAt = Date.now();
+        const summary = { sent: 0, retrying: 0, deadLettered: 0, suppressed: 0, conditionsNotMet: 0, skipped: 0, deferred: 0 };
+        const outOfTime = () => Date.now() - startedAt >= timeBudget;
+        const release = item => this.store.updateQueueItem(item.id, { claimedBy: null, leaseExpiresAt: null });
+        const held = [];
+
+        this.processing = true;
+        this.promotionChecked.clear();
+        try {
+            await this.expirePendingSubscribers();
+            await this.startDueBroadcasts();
+
+            while (!outOfTime()) {
+                const claimed = await this.store.claimQueueItems({
+                    dueBefore: new Date(startedAt).toISOString(),
+                    limit: batchSize,
+                    ...this.newLease()
+                });
+                if (claimed.length === 0) break;
+
+                for (const queueItem of claimed) {
+                    if (outOfTime()) {
+                        await release(queueItem);
+                        summary.deferred += 1;
+                        continue;
+                    }
+
+                    // A slow batch can outlive its lease; by then the item may be someone else's
+                    if (new Date(queueItem.leaseExpiresAt) <= new Date()) {
+                        await this.logEvent('lease-expired', { ...this.queueItemDetails(queueItem), workerId: this.workerId });
+                        summary.deferred += 1;
+                        continue;
+                    }
+
+                    const subscriber = await this.store.getSubscriber(queueItem.subscriberId);
+                    if (!subscriber || subscriber.status !== 'active') {
+                        // Paused or gone - leave it pending. The lease is held until the
+                        // run ends so the next batch doesn't claim it again, then released
+                        // so it goes out once the subscriber is resumed. A broadcast is
+                        // news for now, so it isn't kept for later
+                        if (queueItem.broadcastId) {
+                            await this.store.updateQueueItem(queueItem.id, {
+                                status: 'cancelled',
+                                cancelledAt: new Date().toISOString(),
+                                cancelReason: 'inactive',
+                                claimedBy: null,
+                                leaseExpiresAt: null
+                            });
+                        } else {
+                            held.push(queueItem);
+                        }
+                        summary.skipped += 1;
+                        continue;
+                    }
+
+                    const outcome = await this.deliverQueueItem(queueItem, subscriber);
+                    if (outcome === 'sent') {
+                        summary.sent += 1;
+                    } else if (outcome === 'dead') {
+                        summary.deadLettered += 1;
+                    } else if (outcome === 'suppressed') {
+                        summary.suppressed += 1;
+                    } else if (outcome === 'condition-not-met') {
+                        summary.conditionsNotMet += 1;
+                    } else {
+                        summary.retrying += 1;
+                    }
+                }
+
+                if (claimed.length < batchSize) break;
+            }
 
-Download your 50 prompts here: https://ibadukefan.github.io/journal-prompts/50-journal-prompts.html
+            for (const queueItem of held) {
+                await release(queueItem);
+            }
+            await this.finishBroadcasts();
+        } finally {
+            this.processing = false;
+        }
 
-These prompts have helped thousands of people navigate:
-- Career changes and new jobs  
-- Relationship transitions (including divorce)
-- Major moves and relocations
-- Life milestones and personal growth
+        return { ...summary, durationMs: Date.now() - startedAt };
+    }
 
-Quick start tip: Don't overthink it. Pick ONE prompt that speaks to you right now and write for just 5 minutes. No editing, no judgment - just let your thoughts flow.
+    // Send a queue item, recording a failure instead of throwing so one bad
+    // send can't abort the rest of the batch. Resolves to 'sent', 'retrying',
+    // 'dead', 'suppressed' (the item is cancelled) or 'condition-not-met'
+    // (the step's `if` condition is false, the item is skipped). `extra` is
+    // passed on to sendQueueItem; forced sends ignore the step's condition
+    async deliverQueueItem(queueItem, subscriber, extra = {}) {
+        try {
+            if (!extra.forced && !await this.stepConditionMet(queueItem, subscriber)) {
+                await this.store.updateQueueItem(queueItem.id, {
+                    status: 'skipped',
+                    skippedAt: new Date().toISOString(),
+                    skipReason: 'condition',
+                    claimedBy: null,
+                    leaseExpiresAt: null
+                });
+                await this.logEvent('skipped', { ...this.queueItemDetails(queueItem), reason: 'condition' });
+                return 'condition-not-met';
+            }
 
-The magic happens when you give yourself permission to be honest on the page.
+            await this.sendQueueItem(queueItem, subscriber, extra);
+            return 'sent';
+        } catch (error) {
+            if (error instanceof SuppressedAddressError) {
+                await this.store.updateQueueItem(queueItem.id, {
+                    status: 'cancelled',
+                    cancelledAt: new Date().toISOString(),
+                    cancelReason: 'suppressed',
+                    claimedBy: null,
+                    leaseExpiresAt: null
+                });
+                await this.logEvent('skipped', { ...this.queueItemDetails(queueItem), reason: 'suppressed' });
+                return 'suppressed';
+            }
+            return this.recordSendFailure(queueItem, error);
+        }
+    }
 
-I'll be sharing more journaling insights with you over the next few days. Check your inbox tomorrow for a powerful technique that changed everything for me.
+    // Check a step's `if` condition (lib/conditions.js) against the
+    // subscriber's profile and their opens and clicks so far. Steps without
+    // one always send
+    async stepConditionMet(queueItem, subscriber) {
+        const sequence = this.sequenceOf(queueItem);
+        const steps = this.sequences[sequence] ? this.sequences[sequence].steps : [];
+        const index = steps.findIndex(step => step.id === queueItem.emailId);
+        if (index === -1 || !steps[index].condition) return true;
+
+        return steps[index].condition.test({
+            ...await this.segmentContext(subscriber),
+            sequence,
+            previousId: index > 0 ? steps[index - 1].id : null
+        });
+    }
 
-Happy writing,
-Robert
+    // What conditions and segments are checked against: { now, subscriber,
+    // engagement }, where engagement lists the subscriber's opens and clicks
+    async segmentContext(subscriber) {
+        const queue = await this.store.listQueueItems({ subscriberId: subscriber.id });
+        const events = await this.store.listEvents({ subscriberId: subscriber.id });
+        return { now: Date.now(), subscriber, engagement: this.engagementFrom(queue, events) };
+    }
 
-P.S. I'm always available if you have questions about your journaling journey. Just hit reply!`;
+    engagementFrom(queue, events) {
+        const itemsById = new Map(queue.map(item => [item.id, item]));
+        return events
+            .filter(event => event.type === 'open' || event.type === 'click')
+            .map(event => {
+                const item = itemsById.get(event.queueItemId);
+                return {
+                    type: event.type,
+                    at: new Date(event.at).getTime(),
+                    sequence: item ? this.sequenceOf(item) : null,
+                    emailId: item ? item.emailId : null,
+                    conversion: event.type === 'click' && this.conversionLink.test(event.url)
+                };
+            });
     }
 
-    generateStoryEmail() {
-        return `
-<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8"><title>The day I threw away 3 journals</title></head>
-<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-    <h1 style="color: #7c3aed;">The day I threw away 3 journals (and immediately regretted it)</h1>
-    
-    <p>Hi {{firstName}},</p>
-    
-    <p>Yesterday I gave you 50 prompts. Today I want to tell you why I almost gave up on journaling entirely.</p>
-    
-    <p>Three years into my journaling practice, I was going through the messiest period of my life. Divorce, career uncertainty, questioning everything.</p>
-    
-    <p>My journals from that time weren't pretty. Raw anger, deep sadness, pages of confusion. They felt like evidence of my failures.</p>
-    
-    <p>So I threw them away.</p>
-    
-    <p><strong>The moment that trash bag hit the curb, I felt sick.</strong></p>
-    
-    <p>Those pages weren't just my struggles - they were proof I had survived them. They were my strength story, written in real time.</p>
-    
-    <p>I couldn't get those journals back. But I learned something crucial:</p>
-    
-    <p><strong>Your messy pages are just as important as your breakthrough moments.</strong></p>
-    
-    <p>Since then, I've helped thousands of people navigate transitions through journaling. Here's what I've learned:</p>
-    
-    <ul>
-        <li>✓ 94% of people who journal consistently for 30 days report feeling more clarity about their situation</li>
-        <li>✓ 87% say writing helped them process emotions they couldn't verbalize</li>
-        <li>✓ 73% discovered solutions they didn't know they had</li>
-    </ul>
-    
-    <p>Your struggles aren't weakness - they're raw material for wisdom.</p>
-    
-    <p><strong>Tomorrow, I'll share the exact technique that helped me turn confusion into clarity.</strong></p>
-    
-    <p>Keep writing,<br>Robert</p>
-    
-    <p><em>P.S. Have you tried any of the 50 prompts yet? Hit reply and let me know which one resonated most with you.</em></p>
-    
-    <hr style="margin: 30px 0;">
-    <p style="font-size: 12px; color: #666;">
-        Spoon Seller LLC | <a href="mailto:support@spoonseller.com">support@spoonseller.com</a>
-    </p>
-</body>
-</html>`;
+    // The subscribers matching a segment expression (or compiled segment).
+    // Throws ConditionSyntaxError when the expression doesn't parse
+    async filterSegment(subscribers, segment) {
+        const compiled = typeof segment === 'string' ? compileSegment(segment) : segment;
+        const bySubscriber = items => {
+            const groups = new Map();
+            items.forEach(item => {
+                if (!groups.has(item.subscriberId)) groups.set(item.subscriberId, []);
+                groups.get(item.subscriberId).push(item);
+            });
+            return groups;
+        };
+        const queue = bySubscriber(await this.store.listQueueItems());
+        const events = bySubscriber(await this.store.listEvents());
+        const now = Date.now();
+
+        return subscribers.filter(subscriber => compiled.test({
+            now,
+            subscriber,
+            engagement: this.engagementFrom(queue.get(subscriber.id) || [], events.get(subscriber.id) || [])
+        }));
     }
 
-    generateStoryEmailText() {
-        return `The day I threw away 3 journals (and immediately regretted it)
+    // Transient failures are retried with exponential backoff (5m, 10m, 20m, ...
+    // capped at 6h). Permanent failures - and items out of attempts - go to
+    // the 'dead' state, where they wait for an admin to requeue them
+    async recordSendFailure(queueItem, error) {
+        const attempts = (queueItem.attempts || 0) + 1;
+        const now = new Date();
+        // SMTP errors tend to quote the addresses involved
+        const message = redactAddresses(error.message);
+        const changes = {
+            attempts,
+            lastAttemptAt: now.toISOString(),
+            lastError: message,
+            claimedBy: null,
+            leaseExpiresAt: null
+        };
 
-Hi {{firstName}},
+        const failure = { ...this.queueItemDetails(queueItem), attempts, error: message };
 
-Yesterday I gave you 50 prompts. Today I want to tell you why I almost gave up on journaling entirely.
+        if (error.permanent || attempts >= this.maxSendAttempts) {
+            await this.store.updateQueueItem(queueItem.id, { ...changes, status: 'dead', deadAt: now.toISOString() });
+            await this.logEvent('failed', { ...failure, deadLettered: true, retryAt: null });
+            return 'dead';
+        }
 
-Three years into my journaling practice, I was going through the messiest period of my life. Divorce, career uncertainty, questioning everything.
+        const backoff = Math.min(this.retryBaseDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+        const retryAt = new Date(now.getTime() + backoff).toISOString();
+        await this.store.updateQueueItem(queueItem.id, { ...changes, scheduledFor: retryAt });
+        await this.logEvent('failed', { ...failure, deadLettered: false, retryAt });
+        return 'retrying';
+    }
 
-My journals from that time weren't pretty. Raw anger, deep sadness, pages of confusion. They felt like evidence of my failures.
+    queueItemDetails(queueItem) {
+        return {
+            subscriberId: queueItem.subscriberId,
+            sequence: this.sequenceOf(queueItem),
+            emailId: queueItem.emailId,
+            queueItemId: queueItem.id,
+            ...(queueItem.broadcastId ? { broadcastId: queueItem.broadcastId } : {})
+        };
+    }
 
-So I threw them away.
+    // The sequence a queue item belongs to - null for broadcasts. Items
+    // queued before named sequences were all in the default one
+    sequenceOf(queueItem) {
+        if (queueItem.broadcastId) return null;
+        return queueItem.sequence || this.defaultSequence;
+    }
 
-The moment that trash bag hit the curb, I felt sick.
+    // `extra` adds to the 'sent' log entry, e.g. { forced: true }
+    async sendQueueItem(queueItem, subscriber, extra = {}) {
+        const sequenceName = this.sequenceOf(queueItem);
+        const sequence = this.sequences[sequenceName];
+        const variant = await this.chooseVariant(queueItem, subscriber);
+        const templateName = variant ? variant.template : queueItem.templateName;
+        // Broadcasts send standalone templates, sequence emails their sequence's own
+        const template = queueItem.broadcastId
+            ? this.templates[templateName]
+            : sequence && sequence.templates[templateName];
+        if (!template) {
+            throw new Error(queueItem.broadcastId
+                ? `No template "${templateName}" in ${this.templatesDir}`
+                : `No template "${templateName}" in sequence "${sequenceName}"`);
+        }
 
-Those pages weren't just my struggles - they were proof I had survived them. They were my strength story, written in real time.
+        const result = await this.sendEmail(subscriber, template, {}, {
+            ...extra,
+            queueItemId: queueItem.id,
+            sequence: sequenceName,
+            emailId: queueItem.emailId,
+            ...(queueItem.broadcastId ? { broadcastId: queueItem.broadcastId } : {}),
+            templateName,
+            variant: variant ? variant.name : null
+        });
 
-I couldn't get those journals back. But I learned something crucial:
+        await this.store.updateQueueItem(queueItem.id, {
+            status: 'sent',
+            sentAt: new Date().toISOString(),
+            messageId: result.messageId,
+            claimedBy: null,
+            leaseExpiresAt: null,
+            // Which version of an A/B tested email this subscriber got
+            ...(variant ? { variant: variant.name, templateName, subject: variant.subject } : {})
+        });
 
-Your messy pages are just as important as your breakthrough moments.
+        // Re-read so a stale copy can't overwrite changes made while sending.
+        // Gone means they were erased meanwhile - nothing left to count on
+        const latest = await this.store.getSubscriber(subscriber.id);
+        if (latest) {
+            await this.store.saveSubscriber({ ...latest, emailsSent: latest.emailsSent + 1 });
+        }
 
-Since then, I've helped thousands of people navigate transitions through journaling. Here's what I've learned:
+        return result;
+    }
 
-✓ 94% of people who journal consistently for 30 days report feeling more clarity about their situation
-✓ 87% say writing helped them process emotions they couldn't verbalize  
-✓ 73% discovered solutions they didn't know they had
+    // For A/B tested steps: the promoted winner if there is one, otherwise
+    // the subscriber's fixed share of the split. null for ordinary steps
+    async chooseVariant(queueItem, subscriber) {
+        const sequence = this.sequenceOf(queueItem);
+        const step = this.sequences[sequence] && this.sequences[sequence].steps.find(s => s.id === queueItem.emailId);
+        if (!step || !step.variants) return null;
 
-Your struggles aren't weakness - they're raw material for wisdom.
+        const winner = await this.promotedVariant(sequence, step);
+        return step.variants.find(variant => variant.name === winner) ||
+            assignVariant(step.variants, `${subscriber.id}:${sequence}:${step.id}`);
+    }
 
-Tomorrow, I'll share the exact technique that helped me turn confusion into clarity.
+    // The winning variant's name once one has been promoted, promoting it
+    // first when AB_PROMOTE_AFTER is set and every variant has enough sends.
+    // Promotions are recorded as 'variant-promoted' events, so they survive
+    // restarts and every instance agrees on them. Working out the results
+    // reads every send and click, so a step without a winner is only looked
+    // at again on the next queue run, not for every email in this one
+    async promotedVariant(sequence, step) {
+        const key = `${sequence}:${step.id}`;
+        if (this.promotedVariants.has(key)) return this.promotedVariants.get(key);
+        if (this.promotionChecked.has(key)) return null;
+
+        const recorded = (await this.store.listEvents({ type: 'variant-promoted' }))
+            .find(event => event.sequence === sequence && event.emailId === step.id);
+        if (recorded) {
+            this.promotedVariants.set(key, recorded.variant);
+            return recorded.variant;
+        }
 
-Keep writing,
-Robert
+        const winner = this.abPromoteAfter && pickWinner(
+            await this.variantResults(sequence, step, { sentBefore: Date.now() - SETTLE_TIME }),
+            { threshold: this.abPromoteAfter, metric: this.abPromoteMetric });
+        if (!winner) {
+            this.promotionChecked.add(key);
+            return null;
+        }
 
-P.S. Have you tried any of the 50 prompts yet? Hit reply and let me know which one resonated most with you.`;
+        await this.store.addEvent({
+            type: 'variant-promoted',
+            subscriberId: null,
+            sequence,
+            emailId: step.id,
+            variant: winner,
+            metric: this.abPromoteMetric
+        });
+        this.promotedVariants.set(key, winner);
+        await this.logEvent('variant-promoted', { sequence, emailId: step.id, variant: winner, metric: this.abPromoteMetric });
+        return winner;
     }
 
-    generateTechniqueEmail() {
-        return `
-<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8"><title>The "Future Self" technique</title></head>
-<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-    <h1 style="color: #7c3aed;">The "Future Self" technique that changes everything</h1>
-    
-    <p>Hi {{firstName}},</p>
-    
-    <p>Ready for a game-changer?</p>
-    
-    <p>This technique comes from my book "<a href="https://www.amazon.com/dp/B0DPJ6878P/" style="color: #7c3aed;">How to Journal for Beginners</a>," and it's helped more people break through stuck situations than any other method I teach.</p>
-    
-    <p><strong>It's called "Future Self Wisdom."</strong></p>
-    
-    <p>Here's how it works:</p>
-    
-    <ol>
-        <li>Write about your current challenge for 5 minutes (get it all out)</li>
-        <li>Then write: "Dear [Your Name], I'm writing to you from 5 years in the future..."</li>
-        <li>Spend 10 minutes writing advice to yourself as if you've already solved this problem</li>
-        <li>Don't edit or judge - just let your future self speak</li>
-    </ol>
-    
-    <p><strong>Why this works:</strong></p>
-    <ul>
-        <li>Removes you from the emotional intensity of the moment</li>
-        <li>Accesses wisdom you already have but can't see</li>
-        <li>Creates psychological distance that enables clearer thinking</li>
-        <li>Builds confidence that you WILL figure this out</li>
-    </ul>
-    
-    <p><strong>Try it right now</strong> with whatever transition you're facing. You'll be amazed what your future self already knows.</p>
-    
-    <p>I learned this technique during my own divorce when I felt completely lost. Future Robert helped Present Robert remember: you've survived difficult transitions before, and you have everything you need to navigate this one too.</p>
-    
-    <p><strong>This is just one of 15+ proven methods I cover in my <a href="https://www.amazon.com/dp/B0DPJ6878P/" style="color: #7c3aed;">complete book</a>.</strong> Each technique is designed for different situations and emotional states.</p>
-    
-    <p>Keep exploring,<br>Robert</p>
-    
-    <p><em>P.S. If you try Future Self Wisdom, I'd love to hear how it goes. Your insights might help another reader!</em></p>
-    
-    <hr style="margin: 30px 0;">
-    <p style="font-size: 12px; color: #666;">
-        Spoon Seller LLC | <a href="mailto:support@spoonseller.com">support@spoonseller.com</a>
-    </p>
-</body>
-</html>`;
+    // Sends, opens, clicks and book-link clicks for each variant of a step,
+    // optionally only counting emails sent before `sentBefore` (ms)
+    async variantResults(sequence, step, { sent, clicks, sentBefore = Infinity } = {}) {
+        const sentItems = (sent || await this.store.listQueueItems({ status: 'sent' }))
+            .filter(item => this.sequenceOf(item) === sequence && item.emailId === step.id)
+            .filter(item => new Date(item.sentAt).getTime() <= sentBefore);
+        const converted = new Set((clicks || await this.store.listEvents({ type: 'click' }))
+            .filter(event => this.conversionLink.test(event.url))
+            .map(event => event.queueItemId));
+
+        return summarizeVariants(step.variants, sentItems, item => converted.has(item.id));
     }
 
-    generateTechniqueEmailText() {
-        return `The "Future Self" technique that changes everything
+    // `email` identifies what is being sent ({ queueItemId, sequence,
+    // emailId, templateName, variant }) so opens and clicks can be
+    // attributed to it; it's also recorded in the 'sent' log entry
+    async sendEmail(subscriber, template, extraVariables = {}, email = {}) {
+        const suppression = await this.getSuppression(subscriber.email);
+        if (suppression) {
+            throw new SuppressedAddressError(suppression.reason);
+        }
 
-Hi {{firstName}},
+        const unsubscribeUrl = this.unsubscribeUrl(subscriber);
 
-Ready for a game-changer?
+        // Everything on the subscriber record is available to the templates
+        // ({{firstName}}, {{fields.city}}), plus the links for this email
+        const variables = {
+            ...subscriber,
+            fields: subscriber.fields || {},
+            tags: subscriber.tags || [],
+            unsubscribeUrl,
+            ...extraVariables
+        };
+        // For {{#segment ...}} blocks
+        const context = { segment: await this.segmentContext(subscriber) };
+
+        let html = template.html(variables, context);
+        if (this.tracking) {
+            const tracked = { sid: subscriber.id, q: email.queueItemId, t: email.templateName };
+            html = addTracking(html, {
+                pixelUrl: `${publicBaseUrl}/t/open/${signToken('open', tracked)}`,
+                trackUrl: url => `${publicBaseUrl}/t/click/${signToken('click', { ...tracked, u: url })}`,
+                skip: [unsubscribeUrl]
+            });
+        }
 
-This technique comes from my book "How to Journal for Beginners," and it's helped more people break through stuck situations than any other method I teach.
+        const { messageId } = await this.transport.send({
+            to: { email: subscriber.email, name: subscriber.firstName },
+            from: sender,
+            subject: template.subject(variables, context),
+            html,
+            text: template.text(variables, context),
+            // RFC 8058 one-click unsubscribe, shown by Gmail and Apple Mail
+            headers: {
+                'List-Unsubscribe': `<${unsubscribeUrl}>, <mailto:${sender.email}?subject=unsubscribe>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        });
 
-It's called "Future Self Wisdom."
+        await this.logEvent('sent', {
+            ...email,
+            subscriberId: subscriber.id,
+            sequence: email.sequence || null,
+            emailId: email.emailId || null,
+            messageId,
+            provider: this.sendingProvider
+        });
+        return { success: true, messageId };
+    }
 
-Here's how it works:
+    // Lifecycle events (subscribed, scheduled, sent, failed, skipped,
+    // unsubscribed, bounced, admin actions, queue runs, rejected signups,
+    // ...) go to the store's
+    // append-only activity log, and to stdout as one JSON line each. Every
+    // entry has subscriberId, sequence, emailId and messageId (null where
+    // they don't apply) and an `at` timestamp. A failed write is logged and
+    // swallowed - it must never fail a send or a signup
+    async logEvent(type, details = {}) {
+        try {
+            const entry = await this.store.appendLog({
+                type,
+                subscriberId: null,
+                sequence: null,
+                emailId: null,
+                messageId: null,
+                ...details
+            });
+            if (this.logToStdout) {
+                console.log(JSON.stringify(entry));
+            }
+            return entry;
+        } catch (error) {
+            console.error(`❌ Failed to log ${type}:`, error.message);
+            return null;
+        }
+    }
 
-1. Write about your current challenge for 5 minutes (get it all out)
-2. Then write: "Dear [Your Name], I'm writing to you from 5 years in the future..."
-3. Spend 10 minutes writing advice to yourself as if you've already solved this problem
-4. Don't edit or judge - just let your future self speak
+    // Activity log entries for one subscriber, oldest first - kept even after
+    // the subscriber record is gone
+    async getSubscriberAudit(subscriberId) {
+        const subscriber = await this.store.getSubscriber(subscriberId);
+        const entries = await this.store.listLog({ subscriberId });
+        if (!subscriber && entries.length === 0) return { status: 'not-found' };
 
-Why this works:
-- Removes you from the emotional intensity of the moment
-- Accesses wisdom you already have but can't see  
-- Creates psychological distance that enables clearer thinking
-- Builds confidence that you WILL figure this out
+        return { status: 'ok', subscriberId, subscriber, entries };
+    }
 
-Try it right now with whatever transition you're facing. You'll be amazed what your future self already knows.
+    // Activity log entries for analysis, filtered by { type, subscriberId, since, until }
+    async exportLog(filter = {}) {
+        return this.store.listLog(filter);
+    }
 
-I learned this technique during my own divorce when I felt completely lost. Future Robert helped Present Robert remember: you've survived difficult transitions before, and you have everything you need to navigate this one too.
+    async getSuppression(email) {
+        return this.store.getSuppression(suppressionKey(email));
+    }
+
+    // Apply a bounce, complaint or unsubscribe reported by a provider webhook
+    // (see lib/webhooks). Hard bounces and complaints put the address on the
+    // suppression list, which outlives the subscriber record - so the
+    // provider's reason is kept with any addresses in it redacted
+    async handleDeliveryEvent({ provider, type, email, reason }) {
+        const subscriber = await this.store.findSubscriberByEmail(
+            normalizeEmail(email, { stripPlusTags: this.stripPlusTags })
+        );
 
-This is just one of 15+ proven methods I cover in my complete book: https://www.amazon.com/dp/B0DPJ6878P/
+        if (type === 'unsubscribe') {
+            if (!subscriber || subscriber.status === 'unsubscribed') return { type, status: 'ignored' };
+            await this.unsubscribeSubscriber(subscriber, provider);
+            return { type, status: 'applied' };
+        }
 
-Each technique is designed for different situations and emotional states.
+        const detail = redactAddresses(reason) || null;
+        await this.store.addSuppression({ hash: suppressionKey(email), reason: type, detail, source: provider });
 
-Keep exploring,
-Robert
+        if (subscriber) {
+            await this.store.saveSubscriber({
+                ...this.withoutMemberships(subscriber),
+                status: type === 'bounce' ? 'bounced' : 'complained',
+                suppressedAt: new Date().toISOString()
+            });
+            await this.cancelQueuedEmails(subscriber.id);
+        }
 
-P.S. If you try Future Self Wisdom, I'd love to hear how it goes. Your insights might help another reader!`;
+        await this.logEvent(type === 'bounce' ? 'bounced' : 'complained', {
+            subscriberId: subscriber ? subscriber.id : null,
+            provider,
+            reason: detail
+        });
+        return { type, status: 'applied' };
     }
 
-    generateTransformationEmail() {
-        return `
-<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8"><title>From uncertainty to confidence</title></head>
-<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-    <h1 style="color: #7c3aed;">From "I don't know what I'm doing" to "I'm figuring it out"</h1>
-    
-    <p>Hi {{firstName}},</p>
-    
-    <p>I counted once.</p>
-    
-    <p>In my first month of serious journaling, I wrote "I don't know what I'm doing" <strong>47 times.</strong></p>
-    
-    <p>Six months later, I was writing "I'm figuring it out."</p>
-    
-    <p>That shift - from uncertainty to confidence - didn't happen because my problems got easier. <strong>It happened because journaling gave me a process for navigating difficulty.</strong></p>
-    
-    <p><strong>Here's what changed:</strong></p>
-    
-    <p><strong>Before journaling:</strong> Emotions felt overwhelming and confusing. I'd cycle through the same worries without resolution. Decision-making felt impossible.</p>
-    
-    <p><strong>After developing a practice:</strong> I had a place to untangle complex feelings. Patterns became visible. Solutions emerged from my own writing.</p>
-    
-    <p><strong>The difference wasn't the problems - it was having tools to process them.</strong></p>
-    
-    <p>In "<a href="https://www.amazon.com/dp/B0DPJ6878P/" style="color: #7c3aed;">How to Journal for Beginners</a>," I share the complete framework that created this transformation:</p>
-    
-    <ul>
-        <li>✓ 15+ specific techniques for different situations</li>
-        <li>✓ How to build a sustainable daily practice</li>
-        <li>✓ Prompts for every type of life transition</li>
-        <li>✓ How to overcome the most common journaling obstacles</li>
-    </ul>
-    
-    <p><strong>But here's the real value:</strong> This isn't just about writing. It's about developing a relationship with your own inner wisdom.</p>
-    
-    <p>Every challenge becomes workable when you have a process for thinking it through.</p>
-    
-    <p><strong><a href="https://www.amazon.com/dp/B0DPJ6878P/" style="background: #7c3aed; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Get the Complete Guide on Amazon →</a></strong></p>
-    
-    <p>But honestly? Start with what you have. Consistency matters more than perfection.</p>
-    
-    <p>Your breakthrough is probably closer than you think.</p>
-    
-    <p>Keep writing,<br>Robert</p>
-    
-    <p><em>P.S. What's one insight you've discovered through journaling so far? I read every reply and often share insights (anonymously) to help other readers.</em></p>
-    
-    <hr style="margin: 30px 0;">
-    <p style="font-size: 12px; color: #666;">
-        Spoon Seller LLC | <a href="mailto:support@spoonseller.com">support@spoonseller.com</a>
-    </p>
-</body>
-</html>`;
+    // Tracking pixel loaded. Resolves to true when the open was recorded
+    async recordOpen(token) {
+        const payload = verifyToken('open', token);
+        return Boolean(payload && await this.recordEvent('open', payload));
+    }
+
+    // Tracked link clicked. Resolves to the URL to redirect to, or null
+    async recordClick(token) {
+        const payload = verifyToken('click', token);
+        if (!payload || !/^https?:\/\//.test(payload.u)) return null;
+
+        await this.recordEvent('click', payload);
+        return payload.u;
+    }
+
+    // A failed write must never break the link or the image, so errors are
+    // logged and swallowed here
+    async recordEvent(type, payload) {
+        try {
+            return await this.saveEvent(type, payload);
+        } catch (error) {
+            console.error(`❌ Failed to record ${type}:`, error.message);
+            return null;
+        }
     }
 
-    generateTransformationEmailText() {
-        return `From "I don't know what I'm doing" to "I'm figuring it out"
+    async saveEvent(type, payload) {
+        const subscriber = await this.store.getSubscriber(payload.sid);
+        if (!subscriber) return null;
 
-Hi {{firstName}},
+        const event = await this.store.addEvent({
+            type,
+            subscriberId: subscriber.id,
+            queueItemId: payload.q || null,
+            templateName: payload.t || null,
+            ...(type === 'click' ? { url: payload.u } : {})
+        });
 
-I counted once.
+        // First open/click per email, for the rates in getStats. A click
+        // counts as an open too - the pixel is often blocked
+        const queueItem = payload.q && await this.store.getQueueItem(payload.q);
+        if (queueItem) {
+            const changes = {};
+            if (!queueItem.openedAt) changes.openedAt = event.at;
+            if (type === 'click' && !queueItem.clickedAt) changes.clickedAt = event.at;
+            if (Object.keys(changes).length > 0) {
+                await this.store.updateQueueItem(queueItem.id, changes);
+            }
+        }
+        return event;
+    }
 
-In my first month of serious journaling, I wrote "I don't know what I'm doing" 47 times.
+    // Admin operations (see lib/admin-router.js). Like confirm() and
+    // unsubscribe() these resolve to { status, ... } rather than throwing,
+    // with status 'not-found' when the subscriber or queue item doesn't exist
+
+    // Case-insensitive search on email and name, newest subscribers first,
+    // optionally narrowed to a segment (lib/conditions.js)
+    async searchSubscribers({ q, status, sequence, segment, limit = 50, offset = 0 } = {}) {
+        let compiled = null;
+        try {
+            compiled = segment ? compileSegment(segment) : null;
+        } catch (error) {
+            if (!(error instanceof ConditionSyntaxError)) throw error;
+            return { status: 'invalid-segment', error: error.message };
+        }
 
-Six months later, I was writing "I'm figuring it out."
+        const query = String(q || '').trim().toLowerCase();
+        let matches = (await this.store.listSubscribers(status ? { status } : {}))
+            .filter(s => !sequence || this.memberships(s)[sequence])
+            .filter(s => !query || s.id === query ||
+                s.email.toLowerCase().includes(query) ||
+                (s.firstName || '').toLowerCase().includes(query))
+            .sort((a, b) => new Date(b.subscribedAt) - new Date(a.subscribedAt));
+        if (compiled) matches = await this.filterSegment(matches, compiled);
 
-That shift - from uncertainty to confidence - didn't happen because my problems got easier. It happened because journaling gave me a process for navigating difficulty.
+        return {
+            status: 'ok',
+            total: matches.length,
+            subscribers: matches.slice(offset, offset + limit)
+        };
+    }
 
-Here's what changed:
+    // Everything that happened to one subscriber, oldest first: signups (with
+    // their consent records), emails (scheduled, sent, skipped, cancelled) and
+    // the opens and clicks they produced
+    async getSubscriberTimeline(subscriberId) {
+        const subscriber = await this.store.getSubscriber(subscriberId);
+        if (!subscriber) return { status: 'not-found' };
+
+        const queue = await this.store.listQueueItems({ subscriberId });
+        const events = await this.store.listEvents({ subscriberId });
+        const timeline = [
+            ...(subscriber.consents || []).map(consent => ({ type: 'consent', at: consent.consentedAt, ...consent })),
+            ...queue.map(item => ({
+                type: 'email',
+                at: item.sentAt || item.cancelledAt || item.skippedAt || item.deadAt || item.scheduledFor,
+                ...item
+            })),
+            ...events.map(event => ({ ...event }))
+        ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+        return { status: 'ok', subscriber, queue, events, timeline };
+    }
 
-Before journaling: Emotions felt overwhelming and confusing. I'd cycle through the same worries without resolution. Decision-making felt impossible.
+    // Change custom fields and tags: fields are merged (null removes one),
+    // tags replace the old list when given
+    async updateSubscriberProfile(subscriberId, { fields, tags } = {}) {
+        const subscriber = await this.store.getSubscriber(subscriberId);
+        if (!subscriber) return { status: 'not-found' };
 
-After developing a practice: I had a place to untangle complex feelings. Patterns became visible. Solutions emerged from my own writing.
+        const updated = await this.store.saveSubscriber({
+            ...subscriber,
+            ...mergeProfile(subscriber, { fields, tags }, { replaceTags: true })
+        });
+        await this.logEvent('profile-updated', {
+            subscriberId,
+            actor: 'admin',
+            fields: Object.keys(fields || {}),
+            tags: updated.tags
+        });
+        return { status: 'updated', subscriber: updated };
+    }
 
-The difference wasn't the problems - it was having tools to process them.
+    // Stop sending without unsubscribing; due emails wait until resumed
+    async pauseSubscriber(subscriberId) {
+        const subscriber = await this.store.getSubscriber(subscriberId);
+        if (!subscriber) return { status: 'not-found' };
+        if (subscriber.status !== 'active') return { status: 'not-active', subscriber };
 
-In "How to Journal for Beginners," I share the complete framework that created this transformation:
+        const paused = await this.store.saveSubscriber({
+            ...subscriber,
+            status: 'paused',
+            pausedAt: new Date().toISOString()
+        });
+        await this.logEvent('paused', { subscriberId, actor: 'admin' });
+        return { status: 'paused', subscriber: paused };
+    }
 
-✓ 15+ specific techniques for different situations
-✓ How to build a sustainable daily practice  
-✓ Prompts for every type of life transition
-✓ How to overcome the most common journaling obstacles
+    // Pick up where the pause left off - queued emails move back by the
+    // length of the pause so the gaps between them are kept
+    async resumeSubscriber(subscriberId) {
+        const subscriber = await this.store.getSubscriber(subscriberId);
+        if (!subscriber) return { status: 'not-found' };
+        if (subscriber.status !== 'paused') return { status: 'not-paused', subscriber };
+
+        const pausedFor = Date.now() - new Date(subscriber.pausedAt).getTime();
+        const pending = await this.store.listQueueItems({ subscriberId, status: 'pending' });
+        for (const item of pending) {
+            await this.store.updateQueueItem(item.id, {
+                scheduledFor: new Date(new Date(item.scheduledFor).getTime() + pausedFor).toISOString()
+            });
+        }
 
-But here's the real value: This isn't just about writing. It's about developing a relationship with your own inner wisdom.
+        const { pausedAt, ...rest } = subscriber;
+        const resumed = await this.store.saveSubscriber({ ...rest, status: 'active' });
+        await this.logEvent('resumed', { subscriberId, actor: 'admin', emailsMoved: pending.length });
+        return { status: 'resumed', subscriber: resumed };
+    }
 
-Every challenge becomes workable when you have a process for thinking it through.
+    // Cancel one sequence, or everything when no sequence is given. Unlike
+    // an unsubscribe, the subscriber can sign up again straight away
+    async cancelSubscriber(subscriberId, sequence) {
+        const subscriber = await this.store.getSubscriber(subscriberId);
+        if (!subscriber) return { status: 'not-found' };
+        if (sequence && !this.memberships(subscriber)[sequence]) return { status: 'not-a-member', subscriber };
+
+        let cancelled = subscriber;
+        Object.keys(this.memberships(subscriber))
+            .filter(name => !sequence || name === sequence)
+            .forEach(name => {
+                cancelled = this.withMembership(cancelled, name, { status: 'cancelled' });
+            });
 
-Get the Complete Guide on Amazon: https://www.amazon.com/dp/B0DPJ6878P/
+        const stillActive = Object.values(cancelled.sequences).some(membership => membership.status === 'active');
+        if (!stillActive && subscriber.status !== 'unsubscribed') {
+            cancelled = { ...cancelled, status: 'cancelled', cancelledAt: new Date().toISOString() };
+        }
 
-But honestly? Start with what you have. Consistency matters more than perfection.
+        const saved = await this.store.saveSubscriber(cancelled);
+        const emailsCancelled = await this.cancelQueuedEmails(subscriberId, sequence);
+        await this.logEvent('cancelled', { subscriberId, sequence: sequence || null, actor: 'admin', emailsCancelled });
+        return { status: 'cancelled', subscriber: saved, emailsCancelled };
+    }
 
-Your breakthrough is probably closer than you think.
+    // Data-access and erasure requests (GDPR) arrive with an email address,
+    // so both look the subscriber up by address
 
-Keep writing,
-Robert
+    // Everything stored about an address: the subscriber record, their queued
+    // and sent emails, opens and clicks, activity log entries and any
+    // suppression entry
+    async exportSubscriberData(email) {
+        const subscriber = await this.store.findSubscriberByEmail(
+            normalizeEmail(email, { stripPlusTags: this.stripPlusTags })
+        );
+        const suppression = await this.getSuppression(email);
+        if (!subscriber && !suppression) return { status: 'not-found' };
 
-P.S. What's one insight you've discovered through journaling so far? I read every reply and often share insights (anonymously) to help other readers.`;
+        const subscriberId = subscriber && subscriber.id;
+        const queue = subscriber ? await this.store.listQueueItems({ subscriberId }) : [];
+        return {
+            status: 'ok',
+            exportedAt: new Date().toISOString(),
+            email: email.trim(),
+            subscriber,
+            queue,
+            sentEmails: queue
+                .filter(item => item.status === 'sent')
+                .map(item => ({
+                    sequence: this.sequenceOf(item),
+                    emailId: item.emailId,
+                    broadcastId: item.broadcastId || null,
+                    subject: item.subject,
+                    sentAt: item.sentAt,
+                    openedAt: item.openedAt || null,
+                    clickedAt: item.clickedAt || null
+                })),
+            events: subscriber ? await this.store.listEvents({ subscriberId }) : [],
+            activityLog: subscriber ? await this.store.listLog({ subscriberId }) : [],
+            suppression
+        };
     }
 
-    generateFinalEmail() {
-        return `
-<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8"><title>Your journaling journey starts now</title></head>
-<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-    <h1 style="color: #7c3aed;">Your journaling journey starts with your next sentence</h1>
-    
-    <p>Hi {{firstName}},</p>
-    
-    <p>Five days ago, you downloaded 50 journal prompts because something in your life is shifting.</p>
-    
-    <p>Maybe you've tried a few. Maybe they're still sitting in your downloads folder. Both are perfectly okay.</p>
-    
-    <p><strong>Here's what I want you to remember:</strong></p>
-    
-    <p>Your journaling journey doesn't start when you have the perfect notebook, or the ideal morning routine, or when your life is less messy.</p>
-    
-    <p><strong>It starts with your next sentence.</strong></p>
-    
-    <p>That sentence could be:</p>
-    <ul>
-        <li>"I'm tired of feeling stuck"</li>
-        <li>"I don't know what I want anymore"</li>
-        <li>"Something needs to change"</li>
-        <li>"I'm scared but ready"</li>
-    </ul>
-    
-    <p>Perfect sentences aren't required. Honest ones are.</p>
-    
-    <p><strong>If you're ready to go beyond prompts</strong> and develop a complete journaling practice, my book "<a href="https://www.amazon.com/dp/B0DPJ6878P/" style="color: #7c3aed;">How to Journal for Beginners</a>" will give you everything you need:</p>
-    
-    <ul>
-        <li>📖 <strong>15+ proven techniques</strong> for different situations and emotional states</li>
-        <li>📖 <strong>How to build consistency</strong> without overwhelming yourself</li>
-        <li>📖 <strong>Specific approaches</strong> for career change, relationships, major life decisions</li>
-        <li>📖 <strong>How to overcome</strong> the blank page, perfectionism, and lack of time</li>
-        <li>📖 <strong>Framework for transformation</strong> - not just venting, but actual growth</li>
-    </ul>
-    
-    <p><strong>But whether you get the book or not, please keep writing.</strong></p>
-    
-    <p>Your thoughts deserve a safe place to land. Your wisdom deserves to be discovered. Your story deserves to be witnessed - even if it's only by you.</p>
-    
-    <p><strong>Start with one sentence. See where it takes you.</strong></p>
-    
-    <p><strong><a href="https://www.amazon.com/dp/B0DPJ6878P/" style="background: #7c3aed; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Get the Complete Guide on Amazon →</a></strong></p>
-    
-    <p>Cheering you on,<br>Robert</p>
-    
-    <p><em>P.S. This is my final email in this sequence, but you'll stay on my list for occasional journaling tips and inspiration. You can unsubscribe anytime, but I hope you'll stick around for the journey.</em></p>
-    
-    <hr style="margin: 30px 0;">
-    <p style="font-size: 12px; color: #666;">
-        Spoon Seller LLC | <a href="mailto:support@spoonseller.com">support@spoonseller.com</a><br>
-        <a href="#" style="color: #666; font-size: 10px;">Unsubscribe</a>
-    </p>
-</body>
-</html>`;
+    // Delete everything stored about an address. Only a hash of it is kept,
+    // on the suppression list, so it is never mailed again and the form
+    // can't sign it back up. Activity log entries are kept for the numbers
+    // but no longer point to the subscriber
+    async eraseSubscriberData(email) {
+        const subscriber = await this.store.findSubscriberByEmail(
+            normalizeEmail(email, { stripPlusTags: this.stripPlusTags })
+        );
+        const hash = suppressionKey(email);
+        const suppression = await this.store.getSuppression(hash);
+        if (!suppression) {
+            await this.store.addSuppression({ hash, reason: 'erased', detail: null, source: 'erasure-request' });
+        } else if (suppression.detail !== redactAddresses(suppression.detail)) {
+            // Recorded before bounce reasons were redacted
+            await this.store.addSuppression({ ...suppression, detail: redactAddresses(suppression.detail) });
+        }
+
+        const erased = { subscriber: false, queueItems: 0, events: 0, logEntries: 0 };
+        if (subscriber) {
+            erased.subscriber = await this.store.deleteSubscriber(subscriber.id);
+            erased.queueItems = await this.store.deleteQueueItems({ subscriberId: subscriber.id });
+            erased.events = await this.store.deleteEvents({ subscriberId: subscriber.id });
+            erased.logEntries = await this.store.anonymizeLog(subscriber.id);
+        }
+
+        await this.logEvent('erased', { actor: 'admin', emailHash: hash, ...erased });
+        return { status: 'erased', ...erased };
     }
 
-    generateFinalEmailText() {
-        return `Your journaling journey starts with your next sentence
+    // Queue items across all subscribers, e.g. { status: 'dead' } for the dead-letter queue
+    async getQueue({ status, subscriberId, limit = 100, offset = 0 } = {}) {
+        const items = await this.store.listQueueItems({ status, subscriberId });
+        return { total: items.length, queue: items.slice(offset, offset + limit) };
+    }
 
-Hi {{firstName}},
+    // Give a dead-lettered email a fresh set of attempts, starting now
+    async requeueQueueItem(queueItemId) {
+        const item = await this.store.getQueueItem(queueItemId);
+        if (!item) return { status: 'not-found' };
+        if (item.status !== 'dead') return { status: 'not-dead', queueItem: item };
+
+        const requeued = await this.store.updateQueueItem(queueItemId, {
+            status: 'pending',
+            attempts: 0,
+            scheduledFor: new Date().toISOString(),
+            requeuedAt: new Date().toISOString()
+        });
+        await this.logEvent('requeued', { ...this.queueItemDetails(item), actor: 'admin' });
+        return { status: 'requeued', queueItem: requeued };
+    }
 
-Five days ago, you downloaded 50 journal prompts because something in your life is shifting.
+    async rescheduleQueueItem(queueItemId, scheduledFor) {
+        const when = new Date(scheduledFor);
+        if (Number.isNaN(when.getTime())) return { status: 'invalid-date' };
 
-Maybe you've tried a few. Maybe they're still sitting in your downloads folder. Both are perfectly okay.
+        const item = await this.store.getQueueItem(queueItemId);
+        if (!item) return { status: 'not-found' };
+        if (item.status !== 'pending') return { status: 'not-pending', queueItem: item };
 
-Here's what I want you to remember:
+        const updated = await this.store.updateQueueItem(queueItemId, { scheduledFor: when.toISOString() });
+        await this.logEvent('rescheduled', { ...this.queueItemDetails(item), actor: 'admin', scheduledFor: updated.scheduledFor });
+        return { status: 'rescheduled', queueItem: updated };
+    }
 
-Your journaling journey doesn't start when you have the perfect notebook, or the ideal morning routine, or when your life is less messy.
+    // Send one step of a sequence right now, even if it was already sent or
+    // the subscriber is paused. Never sends to unsubscribed or suppressed
+    // addresses. A failed send is retried by the queue like any other and
+    // resolves to { status: 'send-failed' }
+    async sendStep(subscriberId, { sequence = this.defaultSequence, emailId } = {}) {
+        const subscriber = await this.store.getSubscriber(subscriberId);
+        if (!subscriber) return { status: 'not-found' };
+        if (subscriber.status === 'unsubscribed') return { status: 'unsubscribed', subscriber };
+        if (await this.getSuppression(subscriber.email)) return { status: 'suppressed', subscriber };
+
+        const step = this.sequences[sequence] && this.sequences[sequence].steps.find(s => s.id === Number(emailId));
+        if (!step) return { status: 'unknown-step' };
+
+        // Use the queued copy when there is one so it isn't sent twice
+        const queued = (await this.store.listQueueItems({ subscriberId, status: 'pending' }))
+            .find(item => this.sequenceOf(item) === sequence && item.emailId === step.id);
+        const [queueItem] = queued
+            ? [await this.store.claimQueueItem(queued.id, this.newLease())]
+            : await this.store.addQueueItems([{
+                subscriberId,
+                sequence,
+                emailId: step.id,
+                templateName: step.template,
+                scheduledFor: new Date().toISOString(),
+                subject: step.subject,
+                forced: true,
+                ...this.newLease()
+            }]);
+        if (!queueItem) return { status: 'in-progress', queueItem: queued };
+
+        const outcome = await this.deliverQueueItem(queueItem, subscriber, { forced: true, actor: 'admin' });
+        const delivered = await this.store.getQueueItem(queueItem.id);
+        if (outcome === 'sent') return { status: 'sent', queueItem: delivered, messageId: delivered.messageId };
+        // Suppressed since the check above - the item has been cancelled
+        if (outcome === 'suppressed') return { status: 'suppressed', subscriber };
+        return { status: 'send-failed', queueItem: delivered, error: delivered.lastError };
+    }
 
-It starts with your next sentence.
+    // Broadcasts (lib/broadcasts.js). The admin operations resolve to
+    // { status, ... } like the ones above
 
-That sentence could be:
-- "I'm tired of feeling stuck"
-- "I don't know what I want anymore" 
-- "Something needs to change"
-- "I'm scared but ready"
+    // Why a broadcast's template or segment can't be used, or null
+    checkBroadcast({ template, segment }) {
+        if (template !== undefined && !this.templates[template]) {
+            return { status: 'unknown-template', error: `No template "${template}" in ${this.templatesDir}` };
+        }
+        if (segment) {
+            try {
+                compileSegment(segment);
+            } catch (error) {
+                if (!(error instanceof ConditionSyntaxError)) throw error;
+                return { status: 'invalid-segment', error: error.message };
+            }
+        }
+        return null;
+    }
 
-Perfect sentences aren't required. Honest ones are.
+    // New draft; without a segment it goes to every active subscriber
+    async createBroadcast({ name, template, segment } = {}) {
+        if (!template) return { status: 'unknown-template', error: 'A template is required' };
+        const problem = this.checkBroadcast({ template, segment });
+        if (problem) return problem;
+
+        const broadcast = await this.store.addBroadcast({
+            name: name || template,
+            template,
+            segment: segment || null,
+            status: 'draft',
+            scheduledFor: null
+        });
+        await this.logEvent('broadcast-created', { broadcastId: broadcast.id, actor: 'admin' });
+        return { status: 'created', broadcast };
+    }
 
-If you're ready to go beyond prompts and develop a complete journaling practice, my book "How to Journal for Beginners" will give you everything you need:
+    async listBroadcasts({ status } = {}) {
+        return { status: 'ok', broadcasts: await this.store.listBroadcasts(status ? { status } : {}) };
+    }
 
-📖 15+ proven techniques for different situations and emotional states
-📖 How to build consistency without overwhelming yourself
-📖 Specific approaches for career change, relationships, major life decisions  
-📖 How to overcome the blank page, perfectionism, and lack of time
-📖 Framework for transformation - not just venting, but actual growth
+    // A broadcast with its delivery and engagement numbers so far
+    async getBroadcast(broadcastId) {
+        const broadcast = await this.store.getBroadcast(broadcastId);
+        if (!broadcast) return { status: 'not-found' };
 
-But whether you get the book or not, please keep writing.
+        const items = await this.store.listQueueItems({ broadcastId });
+        const itemIds = new Set(items.map(item => item.id));
+        const converted = new Set((await this.store.listEvents({ type: 'click' }))
+            .filter(event => itemIds.has(event.queueItemId) && this.conversionLink.test(event.url))
+            .map(event => event.queueItemId));
 
-Your thoughts deserve a safe place to land. Your wisdom deserves to be discovered. Your story deserves to be witnessed - even if it's only by you.
+        const counts = summarizeBroadcast(items, item => converted.has(item.id));
+        return {
+            status: 'ok',
+            broadcast,
+            stats: {
+                ...counts,
+                openRate: formatRate(counts.opened, counts.sent),
+                clickRate: formatRate(counts.clicked, counts.sent),
+                conversionRate: formatRate(counts.conversions, counts.sent)
+            }
+        };
+    }
 
-Start with one sentence. See where it takes you.
+    // Change a draft's name, template or segment
+    async editBroadcast(broadcastId, { name, template, segment } = {}) {
+        const problem = this.checkBroadcast({ template, segment });
+        if (problem) return problem;
 
-Get the Complete Guide on Amazon: https://www.amazon.com/dp/B0DPJ6878P/
+        const changes = {
+            ...(name !== undefined ? { name } : {}),
+            ...(template !== undefined ? { template } : {}),
+            ...(segment !== undefined ? { segment: segment || null } : {})
+        };
+        return this.moveBroadcast(broadcastId, 'draft', changes, 'not-draft', 'updated');
+    }
 
-Cheering you on,
-Robert
+    // Send a draft at `scheduledFor` (default: with the next queue run)
+    async scheduleBroadcast(broadcastId, scheduledFor) {
+        const when = scheduledFor ? new Date(scheduledFor) : new Date();
+        if (Number.isNaN(when.getTime())) return { status: 'invalid-date' };
+
+        const result = await this.moveBroadcast(broadcastId, 'draft', {
+            status: 'scheduled',
+            scheduledFor: when.toISOString()
+        }, 'not-draft', 'scheduled');
+        if (result.status === 'scheduled') {
+            await this.logEvent('broadcast-scheduled', { broadcastId, actor: 'admin', scheduledFor: when.toISOString() });
+        }
+        return result;
+    }
 
-P.S. This is my final email in this sequence, but you'll stay on my list for occasional journaling tips and inspiration. You can unsubscribe anytime, but I hope you'll stick around for the journey.`;
+    // Back to draft before it starts sending
+    async unscheduleBroadcast(broadcastId) {
+        return this.moveBroadcast(broadcastId, 'scheduled', { status: 'draft', scheduledFor: null }, 'not-scheduled', 'unscheduled');
+    }
+
+    // Stop a scheduled broadcast, or one part-way through sending
+    async cancelBroadcast(broadcastId) {
+        const result = await this.moveBroadcast(broadcastId, ['scheduled', 'sending'], {
+            status: 'cancelled',
+            cancelledAt: new Date().toISOString()
+        }, 'not-cancellable', 'cancelled');
+        if (result.status !== 'cancelled') return result;
+
+        const pending = await this.store.listQueueItems({ broadcastId, status: 'pending' });
+        for (const item of pending) {
+            await this.store.updateQueueItem(item.id, {
+                status: 'cancelled',
+                cancelledAt: new Date().toISOString(),
+                cancelReason: 'broadcast-cancelled'
+            });
+        }
+        await this.logEvent('broadcast-cancelled', { broadcastId, actor: 'admin', unsent: pending.length });
+        return { ...result, unsent: pending.length };
+    }
+
+    // Apply changes only while the broadcast is in `from` status(es)
+    async moveBroadcast(broadcastId, from, changes, wrongStatus, done) {
+        const broadcast = await this.store.getBroadcast(broadcastId);
+        if (!broadcast) return { status: 'not-found' };
+
+        const updated = await this.store.updateBroadcast(broadcastId, changes, { ifStatus: from });
+        if (!updated) return { status: wrongStatus, broadcast: await this.store.getBroadcast(broadcastId) };
+        return { status: done, broadcast: updated };
+    }
+
+    // Turn scheduled broadcasts that are due into queue items, one per
+    // recipient, spaced out to broadcastRate per minute. The audience is
+    // resolved now, not when the broadcast was created
+    async startDueBroadcasts() {
+        const now = new Date();
+        const due = (await this.store.listBroadcasts({ status: 'scheduled' }))
+            .filter(broadcast => new Date(broadcast.scheduledFor) <= now);
+
+        for (const broadcast of due) {
+            const started = await this.store.updateBroadcast(broadcast.id, {
+                status: 'sending',
+                startedAt: now.toISOString()
+            }, { ifStatus: 'scheduled' });
+            // Another instance got there first
+            if (!started) continue;
+
+            const active = await this.store.listSubscribers({ status: 'active' });
+            const audience = broadcast.segment ? await this.filterSegment(active, broadcast.segment) : active;
+            const sendTimes = throttledSendTimes(now, audience.length, this.broadcastRate);
+            await this.store.addQueueItems(audience.map((subscriber, index) => ({
+                subscriberId: subscriber.id,
+                broadcastId: broadcast.id,
+                sequence: null,
+                emailId: null,
+                templateName: broadcast.template,
+                scheduledFor: sendTimes[index].toISOString()
+            })));
+
+            await this.store.updateBroadcast(broadcast.id, { recipients: audience.length, queuedAt: new Date().toISOString() });
+            await this.logEvent('broadcast-started', { broadcastId: broadcast.id, recipients: audience.length });
+        }
+    }
+
+    // Mark sending broadcasts as sent once none of their emails are pending
+    async finishBroadcasts() {
+        for (const broadcast of await this.store.listBroadcasts({ status: 'sending' })) {
+            if (!broadcast.queuedAt) continue;
+            const pending = await this.store.listQueueItems({ broadcastId: broadcast.id, status: 'pending' });
+            if (pending.length > 0) continue;
+
+            const sent = await this.store.updateBroadcast(broadcast.id, {
+                status: 'sent',
+                sentAt: new Date().toISOString()
+            }, { ifStatus: 'sending' });
+            if (sent) await this.logEvent('broadcast-sent', { broadcastId: broadcast.id });
+        }
+    }
+
+    // CSV import and export (lib/subscriber-csv.js)
+
+    // Import subscribers from CSV text, such as a Mailchimp or Formspree
+    // export. Rows are validated and deduplicated - against each other and
+    // the existing list - and suppressed addresses are left out. Bounced and
+    // complained rows go on the suppression list. Nobody is emailed unless
+    // `startSequence` is set, which queues `sequence` for the active ones,
+    // their first emails spread out at broadcastRate per minute like a
+    // broadcast. With `dryRun` nothing is saved. Resolves to the report:
+    // { status: 'ok', dryRun, rows, imported, skipped, reasons: { reason:
+    // count }, problems: [{ line, email, reason }] }, or status 'invalid-csv'
+    // or 'unknown-sequence' with an error
+    async importSubscribers(csv, { mapping, dryRun = false, startSequence = false, sequence = this.defaultSequence } = {}) {
+        if (startSequence && !this.sequences[sequence]) {
+            return { status: 'unknown-sequence', error: `No sequence "${sequence}"` };
+        }
+
+        let header;
+        let rows;
+        let columns;
+        try {
+            [header, ...rows] = parseCsv(csv);
+            if (!header) return { status: 'invalid-csv', error: 'The file is empty' };
+            columns = resolveColumns(header.values, parseMapping(mapping));
+        } catch (error) {
+            if (!(error instanceof CsvSyntaxError) && !(error instanceof CsvMappingError)) throw error;
+            return { status: 'invalid-csv', error: error.message };
+        }
+
+        const report = { status: 'ok', dryRun, rows: rows.length, imported: 0, skipped: 0, reasons: {}, problems: [] };
+        const skip = (line, email, reason) => {
+            report.skipped += 1;
+            report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+            report.problems.push({ line, email, reason });
+        };
+        const seen = new Set();
+        const subscribers = [];
+        const suppressions = [];
+        const importedAt = new Date().toISOString();
+
+        for (const { line, values } of rows) {
+            const row = readRow(values, columns);
+            const status = STATUSES[(row.status || '').toLowerCase()];
+            const subscribedAt = row.subscribedAt ? new Date(row.subscribedAt) : new Date();
+            if (!EMAIL_PATTERN.test(row.email)) {
+                skip(line, row.email, 'invalid-email');
+                continue;
+            }
+            if (!status) {
+                skip(line, row.email, 'unknown-status');
+                continue;
+            }
+            if (Number.isNaN(subscribedAt.getTime())) {
+                skip(line, row.email, 'invalid-date');
+                continue;
+            }
+
+            const emailKey = normalizeEmail(row.email, { stripPlusTags: this.stripPlusTags });
+            if (seen.has(emailKey)) {
+                skip(line, row.email, 'duplicate');
+                continue;
+            }
+            seen.add(emailKey);
+            if (await this.store.findSubscriberByEmail(emailKey)) {
+                skip(line, row.email, 'already-subscribed');
+                continue;
+            }
+            if (await this.getSuppression(row.email)) {
+                skip(line, row.email, 'suppressed');
+                continue;
+            }
+
+            const joins = startSequence && status === 'active';
+            subscribers.push({
+                id: randomUUID(),
+                email: row.email,
+                emailKey,
+                firstName: row.firstName || null,
+                ...mergeProfile({}, { fields: row.fields, tags: row.tags }),
+                timezone: isValidTimezone(row.timezone) ? row.timezone : this.defaultTimezone,
+                subscribedAt: subscribedAt.toISOString(),
+                importedAt,
+                emailsSent: 0,
+                status,
+                consents: [this.consentRecord(joins ? sequence : null, {
+                    source: 'import',
+                    consent: { consentedAt: subscribedAt.toISOString(), ip: row.ip || null }
+                })],
+                sequences: joins ? { [sequence]: this.createMembership('active', 'import') } : {}
+            });
+            if (status === 'bounced' || status === 'complained') {
+                suppressions.push({
+                    hash: suppressionKey(row.email),
+                    reason: status === 'bounced' ? 'bounce' : 'complaint',
+                    detail: 'imported',
+                    source: 'import'
+                });
+            }
+        }
+
+        report.imported = subscribers.length;
+        if (dryRun) return report;
+
+        await this.store.saveSubscribers(subscribers);
+        for (const suppression of suppressions) {
+            await this.store.addSuppression(suppression);
+        }
+        for (const subscriber of subscribers) {
+            await this.logEvent('subscribed', {
+                subscriberId: subscriber.id,
+                sequence: subscriber.sequences[sequence] ? sequence : null,
+                outcome: 'imported',
+                source: 'import'
+            });
+        }
+        const joining = subscribers.filter(subscriber => subscriber.sequences[sequence]);
+        const firstSendTimes = throttledSendTimes(new Date(), joining.length, this.broadcastRate);
+        for (const [index, subscriber] of joining.entries()) {
+            await this.scheduleEmailSequence(subscriber, sequence, undefined, { firstSendAt: firstSendTimes[index] });
+        }
+        return report;
+    }
+
+    // Subscribers as CSV, newest first: profile, status and how far they are
+    // in each sequence ("journal-prompts: 3/5 active"), plus a column per
+    // custom field. Imports back with importSubscribers(). Narrow it down
+    // with `status` or `segment` (throws ConditionSyntaxError when invalid)
+    async exportSubscribers({ status, segment } = {}) {
+        let subscribers = await this.store.listSubscribers(status ? { status } : {});
+        if (segment) subscribers = await this.filterSegment(subscribers, segment);
+        subscribers.sort((a, b) => new Date(b.subscribedAt) - new Date(a.subscribedAt));
+
+        const queueBySubscriber = new Map();
+        (await this.store.listQueueItems()).forEach(item => {
+            if (!queueBySubscriber.has(item.subscriberId)) queueBySubscriber.set(item.subscriberId, []);
+            queueBySubscriber.get(item.subscriberId).push(item);
+        });
+
+        const progress = (subscriber, items) => Object.entries(this.memberships(subscriber))
+            .map(([name, membership]) => {
+                const steps = this.sequences[name] ? this.sequences[name].steps : [];
+                const sent = new Set(items
+                    .filter(item => item.status === 'sent' && this.sequenceOf(item) === name)
+                    .map(item => item.emailId));
+                return `${name}: ${sent.size}/${steps.length} ${membership.status}`;
+            })
+            .join('; ');
+
+        const fieldNames = [...new Set(subscribers.flatMap(s => Object.keys(s.fields || {})))].sort();
+        const header = [
+            'email', 'firstName', 'status', 'subscribedAt', 'confirmedAt', 'timezone', 'tags',
+            'emailsSent', 'sequences', 'lastEmailAt', 'nextEmailAt',
+            ...fieldNames.map(name => `fields.${name}`)
+        ];
+        const rows = subscribers.map(subscriber => {
+            const items = queueBySubscriber.get(subscriber.id) || [];
+            const sentTimes = items.filter(item => item.status === 'sent').map(item => item.sentAt).sort();
+            const pendingTimes = items.filter(item => item.status === 'pending').map(item => item.scheduledFor).sort();
+            return [
+                subscriber.email,
+                subscriber.firstName,
+                subscriber.status,
+                subscriber.subscribedAt,
+                subscriber.confirmedAt,
+                subscriber.timezone,
+                (subscriber.tags || []).join(', '),
+                subscriber.emailsSent,
+                progress(subscriber, items),
+                sentTimes[sentTimes.length - 1],
+                pendingTimes[0],
+                ...fieldNames.map(name => (subscriber.fields || {})[name])
+            ];
+        });
+        return formatCsv([header, ...rows]);
     }
 
     // Analytics and reporting
-    getStats() {
-        const totalSubscribers = this.subscribers.size;
-        const activeSubscribers = Array.from(this.subscribers.values())
-            .filter(s => s.status === 'active').length;
-        const totalEmailsScheduled = this.automationQueue.length;
-        const emailsSent = this.automationQueue.filter(e => e.status === 'sent').length;
+    // With a segment (lib/conditions.js), only its subscribers and their
+    // emails are counted; suppressions and rejected signups stay list-wide.
+    // Throws ConditionSyntaxError for an invalid segment
+    async getStats({ segment } = {}) {
+        let subscribers = await this.store.listSubscribers();
+        let queue = await this.store.listQueueItems();
+        let members = null;
+        if (segment) {
+            subscribers = await this.filterSegment(subscribers, segment);
+            members = new Set(subscribers.map(s => s.id));
+            queue = queue.filter(item => members.has(item.subscriberId));
+        }
+        const totalSubscribers = subscribers.length;
+        const activeSubscribers = subscribers.filter(s => s.status === 'active').length;
+        const pendingSubscribers = subscribers.filter(s => s.status === 'pending').length;
+        const unsubscribed = subscribers.filter(s => s.status === 'unsubscribed').length;
+        const bounced = subscribers.filter(s => s.status === 'bounced').length;
+        const complained = subscribers.filter(s => s.status === 'complained').length;
+        const suppressedAddresses = (await this.store.listSuppressions()).length;
+
+        // Signups turned away by lib/subscribe-guard.js, by reason
+        const rejectedSubscriptions = { total: 0 };
+        Object.entries(await this.store.getCounters())
+            .filter(([name]) => name.startsWith('subscribe-rejected:'))
+            .forEach(([name, count]) => {
+                rejectedSubscriptions[name.slice('subscribe-rejected:'.length)] = count;
+                rejectedSubscriptions.total += count;
+            });
+
+        // Signups by where they came from - the UTM source, else the form's
+        // source - and by UTM campaign. Every consent recorded counts, and
+        // `active` is how many of those people are still subscribed
+        const signupsBySource = {};
+        const signupsByCampaign = {};
+        const tally = (totals, key, subscriber) => {
+            totals[key] = totals[key] || { signups: 0, active: 0 };
+            totals[key].signups += 1;
+            if (subscriber.status === 'active') totals[key].active += 1;
+        };
+        subscribers.forEach(subscriber => (subscriber.consents || []).forEach(consent => {
+            const utm = consent.utm || {};
+            tally(signupsBySource, utm.source || consent.source || 'direct', subscriber);
+            tally(signupsByCampaign, utm.campaign || 'none', subscriber);
+        }));
+
+        const totalEmailsScheduled = queue.length;
+        const sent = queue.filter(e => e.status === 'sent');
+        const emailsSent = sent.length;
+        const emailsOpened = sent.filter(e => e.openedAt).length;
+        const emailsClicked = sent.filter(e => e.clickedAt).length;
+        const emailsRetrying = queue.filter(e => e.status === 'pending' && e.attempts > 0).length;
+        const emailsDeadLettered = queue.filter(e => e.status === 'dead').length;
+        const emailsSkipped = queue.filter(e => e.status === 'skipped').length;
+
+        // Closest first-party signal for book sales: subscribers who clicked
+        // through to the book's store page
+        const clicks = (await this.store.listEvents({ type: 'click' }))
+            .filter(event => !members || members.has(event.subscriberId));
+        const buyers = new Set(clicks.filter(e => this.conversionLink.test(e.url)).map(e => e.subscriberId));
+        const reached = new Set(sent.map(e => e.subscriberId));
+
+        // A/B tests: how each variant of a step is doing, and the winner once promoted
+        const promotions = await this.store.listEvents({ type: 'variant-promoted' });
+        const experiments = [];
+        for (const sequence of Object.values(this.sequences)) {
+            for (const step of sequence.steps.filter(s => s.variants)) {
+                const promotion = promotions.find(event => event.sequence === sequence.name && event.emailId === step.id);
+                const results = await this.variantResults(sequence.name, step, { sent, clicks });
+                experiments.push({
+                    sequence: sequence.name,
+                    emailId: step.id,
+                    promoted: promotion ? promotion.variant : null,
+                    variants: results.map(result => ({
+                        ...result,
+                        openRate: formatRate(result.opened, result.sent),
+                        clickRate: formatRate(result.clicked, result.sent),
+                        conversionRate: formatRate(result.conversions, result.sent)
+                    }))
+                });
+            }
+        }
+
+        // Per-funnel breakdown - one subscriber can count towards several
+        const sequences = {};
+        Object.keys(this.sequences).forEach(name => {
+            const members = subscribers.filter(s => this.memberships(s)[name]);
+            const items = queue.filter(item => this.sequenceOf(item) === name);
+            const sentItems = items.filter(item => item.status === 'sent');
+            sequences[name] = {
+                subscribers: members.length,
+                activeSubscribers: members.filter(s => s.status === 'active' && this.memberships(s)[name].status === 'active').length,
+                emailsScheduled: items.length,
+                emailsSent: sentItems.length,
+                openRate: formatRate(sentItems.filter(item => item.openedAt).length, sentItems.length),
+                clickRate: formatRate(sentItems.filter(item => item.clickedAt).length, sentItems.length),
+                // Per email, so a weak subject line or CTA stands out
+                emails: this.sequences[name].steps.map(step => {
+                    const stepItems = sentItems.filter(item => item.emailId === step.id);
+                    return {
+                        id: step.id,
+                        template: step.template,
+                        ...(step.condition ? {
+                            condition: step.condition.source,
+                            skipped: items.filter(item => item.emailId === step.id && item.status === 'skipped').length
+                        } : {}),
+                        sent: stepItems.length,
+                        opened: stepItems.filter(item => item.openedAt).length,
+                        clicked: stepItems.filter(item => item.clickedAt).length
+                    };
+                })
+            };
+        });
         
         return {
+            ...(segment ? { segment } : {}),
             totalSubscribers,
             activeSubscribers,
+            pendingSubscribers,
+            unsubscribed,
+            bounced,
+            complained,
+            suppressedAddresses,
+            rejectedSubscriptions,
+            signupsBySource,
+            signupsByCampaign,
             totalEmailsScheduled,
             emailsSent,
-            openRate: '~35%', // Estimated
-            clickRate: '~8%', // Estimated
-            conversionRate: '~12%' // Estimated book sales conversion
+            emailsOpened,
+            emailsClicked,
+            emailsRetrying,
+            emailsDeadLettered,
+            emailsSkipped,
+            openRate: formatRate(emailsOpened, emailsSent),
+            clickRate: formatRate(emailsClicked, emailsSent),
+            conversionRate: formatRate(buyers.size, reached.size),
+            sequences,
+            experiments
         };
     }
 
@@ -660,12 +1909,14 @@ P.S. This is my final email in this sequence, but you'll stay on my list for occ
         
         // Process automation queue every minute
         this.intervalId = setInterval(() => {
-            this.processAutomationQueue();
+            this.processAutomationQueue().catch(error => {
+                console.error('❌ Queue processing failed:', error.message);
+            });
         }, 60000); // 1 minute
         
         console.log('✅ Email automation is now running!');
         console.log('📧 Emails will be processed every minute');
-        console.log('📊 Use automation.getStats() to see performance\n');
+        console.log('📊 Use await automation.getStats() to see performance\n');
         
         return this;
     }
@@ -678,15 +1929,104 @@ P.S. This is my final email in this sequence, but you'll stay on my list for occ
     }
 }
 
-// Command line interface
-if (require.main === module) {
+// Split CLI arguments into positional ones and --options; `lists` name the
+// options that can be given more than once, `flags` the ones without a value
+function parseCliArgs(args, { lists = [], flags = [] } = {}) {
+    const positional = [];
+    const options = {};
+    lists.forEach(name => { options[name] = []; });
+
+    for (let index = 0; index < args.length; index += 1) {
+        const name = args[index].startsWith('--') ? args[index].slice(2) : null;
+        if (name === null) {
+            positional.push(args[index]);
+        } else if (flags.includes(name)) {
+            options[name] = true;
+        } else if (lists.includes(name)) {
+            options[name].push(args[index += 1]);
+        } else {
+            options[name] = args[index += 1];
+        }
+    }
+    return { positional, options };
+}
+
+const cliUsage = `Usage:
+  node book-email-automation.js                 run the demo
+  node book-email-automation.js import <file.csv> [--dry-run] [--start] [--sequence <name>]
+                                                [--map <target>=<header> ...]
+  node book-email-automation.js export [<file.csv>] [--status <status>] [--segment <expression>]`;
+
+// Resolves to the process exit code
+async function runCsvCommand(command, args) {
+    const { positional, options } = parseCliArgs(args, { lists: ['map'], flags: ['dry-run', 'start'] });
+    const automation = new BookEmailAutomation(undefined, { logToStdout: false });
+
+    if (command === 'import') {
+        if (!positional[0]) {
+            console.error(cliUsage);
+            return 1;
+        }
+
+        const report = await automation.importSubscribers(fs.readFileSync(positional[0], 'utf8'), {
+            mapping: options.map,
+            dryRun: Boolean(options['dry-run']),
+            startSequence: Boolean(options.start),
+            sequence: options.sequence
+        });
+        if (report.status !== 'ok') {
+            console.error(`❌ ${report.error}`);
+            return 1;
+        }
+
+        console.log(`📥 ${positional[0]}: ${report.rows} rows${report.dryRun ? ' (dry run - nothing was saved)' : ''}`);
+        console.log(`   ${report.dryRun ? 'Would import' : 'Imported'}: ${report.imported}`);
+        console.log(`   Skipped: ${report.skipped}`);
+        Object.entries(report.reasons).forEach(([reason, count]) => console.log(`     ${reason}: ${count}`));
+        report.problems.slice(0, 50).forEach(({ line, email, reason }) => {
+            console.log(`   line ${line}: ${email || '(no email)'} - ${reason}`);
+        });
+        if (report.problems.length > 50) console.log(`   ... and ${report.problems.length - 50} more`);
+        return 0;
+    }
+
+    let csv;
+    try {
+        csv = await automation.exportSubscribers({ status: options.status, segment: options.segment });
+    } catch (error) {
+        if (!(error instanceof ConditionSyntaxError)) throw error;
+        console.error(`❌ ${error.message}`);
+        return 1;
+    }
+
+    if (!positional[0]) {
+        process.stdout.write(csv);
+    } else {
+        fs.writeFileSync(positional[0], csv);
+        console.error(`📤 Exported ${parseCsv(csv).length - 1} subscribers to ${positional[0]}`);
+    }
+    return 0;
+}
+
+// Command line interface - see cliUsage
+if (require.main === module && process.argv[2] && !['import', 'export'].includes(process.argv[2])) {
+    console.error(cliUsage);
+    process.exitCode = 1;
+} else if (require.main === module && process.argv[2]) {
+    runCsvCommand(process.argv[2], process.argv.slice(3))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('❌', error.message);
+            process.exit(1);
+        });
+} else if (require.main === module) {
     const automation = new BookEmailAutomation();
     
     // Demo: Add a test subscriber
     automation.subscribe('test@example.com', 'Test User')
-        .then(() => {
+        .then(async () => {
             console.log('\n📈 Current Stats:');
-            console.log(automation.getStats());
+            console.log(await automation.getStats());
             
             console.log('\n🎯 INTEGRATION INSTRUCTIONS:');
             console.log('1. Replace Formspree with this automation endpoint');
@@ -10,6 +10,20 @@
 const express = require('express');
 const cors = require('cors');
 const BookEmailAutomation = require('./book-email-automation');
+const {
+    confirmationPages,
+    renderConfirmPage,
+    renderPage,
+    renderUnsubscribeConfirmPage,
+    unsubscribePages
+} = require('./lib/pages');
+const { buildSubscribeResponse } = require('./lib/subscribe-responses');
+const { PIXEL_GIF } = require('./lib/tracking');
+const { createAdminRouter } = require('./lib/admin-router');
+const { createCronHandler } = require('./lib/cron');
+const { createWebhookRouter } = require('./lib/webhooks');
+const { SubscribeGuard, clientIp } = require('./lib/subscribe-guard');
+const { captureConsent } = require('./lib/consent');
 
 const app = express();
 const port = process.env.PORT || 3004;
@@ -17,28 +31,45 @@ const port = process.env.PORT || 3004;
 // Initialize email automation
 const emailAutomation = new BookEmailAutomation();
 emailAutomation.start();
+const subscribeGuard = new SubscribeGuard(emailAutomation.store, {
+    logEvent: (type, details) => emailAutomation.logEvent(type, details)
+});
+
+// Provider bounce/complaint webhooks - before the body parsers, because
+// their signatures are checked against the raw request body
+app.use('/webhooks', createWebhookRouter(() => emailAutomation));
 
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(cors());
+// Only the configured landing pages may call the API from a browser (any origin when ALLOWED_ORIGINS is unset)
+app.use(cors({ origin: subscribeGuard.allowedOrigins.length > 0 ? subscribeGuard.allowedOrigins : true }));
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        automation: 'running',
-        stats: emailAutomation.getStats(),
-        timestamp: new Date().toISOString()
-    });
+app.get('/health', async (req, res) => {
+    try {
+        res.json({ 
+            status: 'healthy', 
+            automation: 'running',
+            stats: await emailAutomation.getStats(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('❌ Health check error:', error);
+        res.status(500).json({ status: 'error', error: error.message });
+    }
 });
 
 // Form submission endpoint - replaces Formspree
 app.post('/subscribe', async (req, res) => {
     try {
-        const { name, email } = req.body;
+        const { name, email, sequence, source, timezone, timezoneOffset, fields, tags } = req.body;
         
-        // Validate input
+        // Validate input - email[]=... and the like parse to arrays, which
+        // would get past the checks below
+        if ([name, email, sequence, source].some(value => value !== undefined && typeof value !== 'string')) {
+            return res.status(400).json({ error: 'Name, email, sequence and source must be text' });
+        }
         if (!name || !email) {
             return res.status(400).json({ 
                 error: 'Name and email are required',
@@ -55,19 +86,27 @@ app.post('/subscribe', async (req, res) => {
             });
         }
 
-        // Subscribe to email automation
-        const subscriberId = await emailAutomation.subscribe(email, name);
-        
-        console.log(`✅ New subscriber: ${name} (${email}) - ID: ${subscriberId}`);
-        
-        // Success response for AJAX form
-        res.json({
-            success: true,
-            message: 'Successfully subscribed to journal prompts!',
-            subscriberId: subscriberId,
-            nextStep: 'Check your email for your free prompts'
+        if (sequence && !emailAutomation.sequences[sequence]) {
+            return res.status(400).json({ error: 'Unknown sequence', sequence });
+        }
+
+        const rejection = await subscribeGuard.check({ ip: clientIp(req), origin: req.get('origin'), body: req.body });
+        if (rejection) {
+            if (rejection.silent) {
+                return res.json(buildSubscribeResponse({ subscriberId: null, sequence: null, outcome: 'subscribed' }));
+            }
+            if (rejection.retryAfter) res.set('Retry-After', String(rejection.retryAfter));
+            return res.status(rejection.status).json({ error: rejection.error });
+        }
+
+        // Subscribe to email automation (sequence picked by name or signup source)
+        const result = await emailAutomation.subscribe(email, name, {
+            sequence, source, timezone, timezoneOffset, fields, tags, consent: captureConsent(req, req.body)
         });
 
+        // Success response for AJAX form
+        res.json(buildSubscribeResponse(result));
+
     } catch (error) {
         console.error('❌ Subscription error:', error);
         res.status(500).json({ 
@@ -77,18 +116,93 @@ app.post('/subscribe', async (req, res) => {
     }
 });
 
-// Analytics endpoint
-app.get('/stats', (req, res) => {
-    res.json({
-        automation: emailAutomation.getStats(),
-        server: {
-            uptime: process.uptime(),
-            memory: process.memoryUsage(),
-            timestamp: new Date().toISOString()
+// Double opt-in confirmation link from the confirmation email - asks for a
+// click, so link scanners don't confirm on the subscriber's behalf
+app.get('/confirm', (req, res) => {
+    res.send(renderConfirmPage(req.query.token || ''));
+});
+
+app.post('/confirm', async (req, res) => {
+    try {
+        const result = await emailAutomation.confirm(req.query.token || req.body.token);
+
+        if (process.env.CONFIRM_REDIRECT_URL) {
+            return res.redirect(`${process.env.CONFIRM_REDIRECT_URL}?status=${result.status}`);
         }
-    });
+
+        const [title, message] = confirmationPages[result.status];
+        res.status(result.status === 'invalid' ? 400 : 200).send(renderPage(title, message));
+    } catch (error) {
+        console.error('❌ Confirmation error:', error);
+        res.status(500).send(renderPage('Something went wrong', 'Please try again or contact support.'));
+    }
 });
 
+// Unsubscribe link in every email - asks for a click before unsubscribing
+app.get('/unsubscribe', (req, res) => {
+    res.send(renderUnsubscribeConfirmPage(req.query.token || ''));
+});
+
+// Unsubscribe form and RFC 8058 one-click requests from mail clients
+app.post('/unsubscribe', async (req, res) => {
+    try {
+        const result = await emailAutomation.unsubscribe(req.query.token || req.body.token);
+        const [title, message] = unsubscribePages[result.status];
+        res.status(result.status === 'invalid' ? 400 : 200).send(renderPage(title, message));
+    } catch (error) {
+        console.error('❌ Unsubscribe error:', error);
+        res.status(500).send(renderPage('Something went wrong', 'Please try again or reply to any email to unsubscribe.'));
+    }
+});
+
+// Open tracking pixel in HTML emails
+app.get('/t/open/:token', async (req, res) => {
+    try {
+        await emailAutomation.recordOpen(req.params.token);
+    } catch (error) {
+        // The image still loads - a lost open isn't worth a broken email
+        console.error('❌ Open tracking error:', error);
+    }
+    res.set({ 'Content-Type': 'image/gif', 'Cache-Control': 'no-store, max-age=0' }).send(PIXEL_GIF);
+});
+
+// Tracked links in HTML emails - record the click, then send them on
+app.get('/t/click/:token', async (req, res) => {
+    try {
+        const url = await emailAutomation.recordClick(req.params.token);
+        if (!url) {
+            return res.status(400).send(renderPage('Invalid link', 'This link looks broken. Please use the link from your most recent email.'));
+        }
+        res.redirect(302, url);
+    } catch (error) {
+        console.error('❌ Click tracking error:', error);
+        res.status(500).send(renderPage('Something went wrong', 'Please try the link again in a moment.'));
+    }
+});
+
+// Analytics endpoint
+app.get('/stats', async (req, res) => {
+    try {
+        res.json({
+            automation: await emailAutomation.getStats(),
+            server: {
+                uptime: process.uptime(),
+                memory: process.memoryUsage(),
+                timestamp: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('❌ Stats error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Subscriber and queue management, protected by ADMIN_API_KEY
+app.use('/admin', createAdminRouter(() => emailAutomation));
+
+// Queue drain for external schedulers, protected by CRON_SECRET
+app.all('/cron/process-queue', createCronHandler(() => emailAutomation));
+
 // Test email endpoint (for development)
 app.post('/test-email', async (req, res) => {
     if (process.env.NODE_ENV === 'production') {
@@ -97,11 +211,12 @@ app.post('/test-email', async (req, res) => {
     
     try {
         const { email = 'test@example.com', name = 'Test User' } = req.body;
-        const subscriberId = await emailAutomation.subscribe(email, name);
+        const { subscriberId, outcome } = await emailAutomation.subscribe(email, name);
         
         res.json({
             success: true,
             message: 'Test subscription created',
+            status: outcome,
             subscriberId: subscriberId
         });
     } catch (error) {
@@ -115,6 +230,7 @@ app.listen(port, () => {
     console.log(`📧 Email automation is active and processing`);
     console.log(`🌐 Form endpoint: http://localhost:${port}/subscribe`);
     console.log(`📊 Stats endpoint: http://localhost:${port}/stats`);
+    console.log(`🔐 Admin API: http://localhost:${port}/admin/subscribers`);
     console.log(`🔍 Health check: http://localhost:${port}/health\n`);
     
     console.log('📝 INTEGRATION STEPS:');
@@ -0,0 +1,212 @@
+/**
+ * Admin API
+ *
+ * Operational endpoints for looking up and managing subscribers, mounted at
+ * /admin by email-webhook-server.js and served by api/admin/[...path].js on
+ * Vercel. Every request needs the key from ADMIN_API_KEY, sent as
+ * "Authorization: Bearer <key>" or "X-Admin-Key: <key>". Without
+ * ADMIN_API_KEY the admin API is disabled.
+ *
+ *   GET   /subscribers?q=&status=&sequence=&segment=&limit=&offset=
+ *   GET   /subscribers/:id                 subscriber + timeline
+ *   PATCH /subscribers/:id                 { fields?, tags? } custom fields and tags
+ *   GET   /subscribers/:id/audit           activity log entries for the subscriber
+ *   POST  /subscribers/:id/pause
+ *   POST  /subscribers/:id/resume
+ *   POST  /subscribers/:id/cancel          { sequence? }
+ *   POST  /subscribers/:id/send            { sequence?, emailId }
+ *   GET   /queue?status=&subscriberId=     e.g. status=dead for the dead-letter queue
+ *   PATCH /queue/:id                       { scheduledFor }
+ *   POST  /queue/:id/requeue               retry a dead-lettered email
+ *   GET   /log.jsonl?type=&subscriberId=&since=&until=
+ *                                          activity log export, one JSON entry per line
+ *   GET   /broadcasts?status=
+ *   POST  /broadcasts                      { name?, template, segment? } new draft
+ *   GET   /broadcasts/:id                  broadcast + delivery and engagement stats
+ *   PATCH /broadcasts/:id                  { name?, template?, segment? } drafts only
+ *   POST  /broadcasts/:id/schedule         { scheduledFor? } default: now
+ *   POST  /broadcasts/:id/unschedule       back to draft
+ *   POST  /broadcasts/:id/cancel           stop a scheduled or sending broadcast
+ *   GET   /stats?segment=                  stats for a segment (kept off the public /stats)
+ *   POST  /privacy/export                  { email } everything stored about an address
+ *   POST  /privacy/erase                   { email } delete it all, keeping a hashed suppression
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { ConditionSyntaxError } = require('./conditions');
+
+// HTTP status for each { status } the automation's admin methods resolve to
+const statusCodes = {
+    'not-found': 404,
+    'invalid-date': 400,
+    'invalid-email': 400,
+    'invalid-segment': 400,
+    'unknown-template': 400,
+    'unknown-step': 400,
+    'not-a-member': 409,
+    'not-active': 409,
+    'not-paused': 409,
+    'not-pending': 409,
+    'not-dead': 409,
+    'not-draft': 409,
+    'not-scheduled': 409,
+    'not-cancellable': 409,
+    'in-progress': 409,
+    unsubscribed: 409,
+    suppressed: 409,
+    'send-failed': 502
+};
+
+function isAuthorized(req, apiKey) {
+    const header = req.get('authorization') || '';
+    const provided = req.get('x-admin-key') || (header.startsWith('Bearer ') ? header.slice(7) : '');
+
+    const expected = crypto.createHash('sha256').update(apiKey).digest();
+    const actual = crypto.createHash('sha256').update(provided).digest();
+    return provided.length > 0 && crypto.timingSafeEqual(expected, actual);
+}
+
+function requireApiKey(req, res, next) {
+    const apiKey = process.env.ADMIN_API_KEY;
+    if (!apiKey) {
+        return res.status(503).json({ error: 'Admin API is disabled - set ADMIN_API_KEY to enable it' });
+    }
+    if (!isAuthorized(req, apiKey)) {
+        return res.status(401).json({ error: 'Invalid or missing admin API key' });
+    }
+    next();
+}
+
+// ?q[]=a or ?q=a&q=b parse to arrays and objects - every admin query
+// parameter is a single value
+function requireSingleValues(req, res, next) {
+    const invalid = Object.keys(req.query).filter(name => typeof req.query[name] !== 'string');
+    if (invalid.length > 0) {
+        return res.status(400).json({ status: 'invalid-query', error: `Repeated or nested query parameters: ${invalid.join(', ')}` });
+    }
+    next();
+}
+
+// Wrap an admin method call: map its status to an HTTP code and catch errors
+function handle(action) {
+    return async (req, res) => {
+        try {
+            const result = await action(req);
+            res.status(statusCodes[result.status] || 200).json(result);
+        } catch (error) {
+            console.error('❌ Admin API error:', error);
+            res.status(500).json({ error: 'Admin request failed', message: error.message });
+        }
+    };
+}
+
+// getAutomation() returns the BookEmailAutomation instance to operate on
+function createAdminRouter(getAutomation) {
+    const router = express.Router();
+    router.use(express.json());
+    router.use(requireApiKey);
+    router.use(requireSingleValues);
+
+    router.get('/subscribers', handle(req => {
+        const { q, status, sequence, segment } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 50, 500);
+        const offset = Number(req.query.offset) || 0;
+        return getAutomation().searchSubscribers({ q, status, sequence, segment, limit, offset });
+    }));
+
+    router.get('/subscribers/:id', handle(req => getAutomation().getSubscriberTimeline(req.params.id)));
+
+    router.patch('/subscribers/:id', handle(req => {
+        const { fields, tags } = req.body || {};
+        return getAutomation().updateSubscriberProfile(req.params.id, { fields, tags });
+    }));
+
+    router.get('/subscribers/:id/audit', handle(req => getAutomation().getSubscriberAudit(req.params.id)));
+
+    router.post('/subscribers/:id/pause', handle(req => getAutomation().pauseSubscriber(req.params.id)));
+
+    router.post('/subscribers/:id/resume', handle(req => getAutomation().resumeSubscriber(req.params.id)));
+
+    router.post('/subscribers/:id/cancel', handle(req =>
+        getAutomation().cancelSubscriber(req.params.id, (req.body || {}).sequence)));
+
+    router.post('/subscribers/:id/send', handle(req => {
+        const { sequence, emailId } = req.body || {};
+        return getAutomation().sendStep(req.params.id, { sequence, emailId });
+    }));
+
+    router.get('/queue', handle(async req => {
+        const { status, subscriberId } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const offset = Number(req.query.offset) || 0;
+        return { status: 'ok', ...await getAutomation().getQueue({ status, subscriberId, limit, offset }) };
+    }));
+
+    router.post('/queue/:id/requeue', handle(req => getAutomation().requeueQueueItem(req.params.id)));
+
+    router.patch('/queue/:id', handle(req =>
+        getAutomation().rescheduleQueueItem(req.params.id, (req.body || {}).scheduledFor)));
+
+    router.get('/broadcasts', handle(req => getAutomation().listBroadcasts({ status: req.query.status })));
+
+    router.post('/broadcasts', handle(req => {
+        const { name, template, segment } = req.body || {};
+        return getAutomation().createBroadcast({ name, template, segment });
+    }));
+
+    router.get('/broadcasts/:id', handle(req => getAutomation().getBroadcast(req.params.id)));
+
+    router.patch('/broadcasts/:id', handle(req => {
+        const { name, template, segment } = req.body || {};
+        return getAutomation().editBroadcast(req.params.id, { name, template, segment });
+    }));
+
+    router.post('/broadcasts/:id/schedule', handle(req =>
+        getAutomation().scheduleBroadcast(req.params.id, (req.body || {}).scheduledFor)));
+
+    router.post('/broadcasts/:id/unschedule', handle(req => getAutomation().unscheduleBroadcast(req.params.id)));
+
+    router.post('/broadcasts/:id/cancel', handle(req => getAutomation().cancelBroadcast(req.params.id)));
+
+    router.get('/stats', handle(async req => {
+        try {
+            return { status: 'ok', stats: await getAutomation().getStats({ segment: req.query.segment }) };
+        } catch (error) {
+            if (!(error instanceof ConditionSyntaxError)) throw error;
+            return { status: 'invalid-segment', error: error.message };
+        }
+    }));
+
+    // Addresses go in the body rather than the URL, which ends up in access logs
+    const byEmail = method => handle(req => {
+        const { email } = req.body || {};
+        if (typeof email !== 'string' || !email.includes('@')) return { status: 'invalid-email' };
+        return getAutomation()[method](email);
+    });
+
+    router.post('/privacy/export', byEmail('exportSubscriberData'));
+
+    router.post('/privacy/erase', byEmail('eraseSubscriberData'));
+
+    router.get('/log.jsonl', async (req, res) => {
+        const { type, subscriberId, since, until } = req.query;
+        if ([since, until].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+            return res.status(400).json({ status: 'invalid-date' });
+        }
+
+        try {
+            const entries = await getAutomation().exportLog({ type, subscriberId, since, until });
+            res.type('application/x-ndjson');
+            res.set('Content-Disposition', 'attachment; filename="activity-log.jsonl"');
+            res.send(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        } catch (error) {
+            console.error('❌ Admin API error:', error);
+            res.status(500).json({ error: 'Admin request failed', message: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
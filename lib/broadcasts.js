@@ -0,0 +1,51 @@
+/**
+ * One-off broadcast campaigns
+ *
+ * A broadcast sends one standalone email (a Markdown file in templates/,
+ * same format as the sequence emails) to every active subscriber, or to a
+ * segment of them (lib/conditions.js). It moves through:
+ *
+ *   draft      created through the admin API; name, template and segment
+ *              can still be changed
+ *   scheduled  waiting for its scheduledFor time (unschedule goes back to draft)
+ *   sending    the audience was resolved and one queue item per recipient
+ *              added; they go out through the normal queue, retries and all
+ *   sent       every queue item is done (sent, failed for good or skipped)
+ *   cancelled  stopped while scheduled or sending; unsent items are cancelled
+ *
+ * Sends are throttled by spreading the queue items' scheduledFor times:
+ * BROADCAST_RATE_PER_MINUTE (default 60) per minute, so a big list doesn't
+ * trip the provider's rate limits or land all at once.
+ */
+
+const MINUTE = 60 * 1000;
+
+const STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+
+// When each of `count` recipients is sent, `perMinute` at a time from `start`
+function throttledSendTimes(start, count, perMinute) {
+    return Array.from({ length: count }, (_, index) =>
+        new Date(start.getTime() + Math.floor(index / perMinute) * MINUTE));
+}
+
+// Delivery and engagement counts for a broadcast's queue items.
+// isConversion(item) tells whether a book link in that email was clicked
+function summarizeBroadcast(items, isConversion) {
+    const sent = items.filter(item => item.status === 'sent');
+    return {
+        recipients: items.length,
+        pending: items.filter(item => item.status === 'pending').length,
+        sent: sent.length,
+        failed: items.filter(item => item.status === 'dead').length,
+        cancelled: items.filter(item => item.status === 'cancelled').length,
+        opened: sent.filter(item => item.openedAt).length,
+        clicked: sent.filter(item => item.clickedAt).length,
+        conversions: sent.filter(isConversion).length
+    };
+}
+
+module.exports = {
+    STATUSES,
+    summarizeBroadcast,
+    throttledSendTimes
+};
@@ -0,0 +1,280 @@
+/**
+ * Conditions and segments
+ *
+ * A step's `if:` front matter holds an expression that is checked when the
+ * step comes due. When it's false the email is skipped and the sequence
+ * carries on with the next step:
+ *
+ *   if: opened(previous)                 # only if the previous email was opened
+ *   if: not clicked(conversion)          # skip the pitch for people who already clicked through
+ *   if: not opened(any, 72h)             # re-engagement: nothing opened in the last 72 hours
+ *   if: opened(2) and not clicked(2)
+ *   if: fields.transition = career       # only for people going through a career change
+ *
+ * Segments - who a broadcast goes to, a {{#segment ...}} block in a template
+ * applies to, or stats are filtered on - use the same language, without the
+ * checks that only make sense inside a sequence:
+ *
+ *   tagged(vip) and status = active
+ *   fields.transition = "relocation" or clicked(conversion, 30d)
+ *
+ * Checks:
+ *
+ *   opened(email[, within])    the email was opened (a click counts as an open)
+ *   clicked(email[, within])   a link in the email was clicked
+ *   tagged(tag)                the subscriber has the tag
+ *   status = active            subscriber status
+ *   sequence = journal-prompts the subscriber joined that sequence
+ *   fields.<name> = value      custom field; also !=, and <, <=, >, >= for numbers
+ *
+ * where `email` is `previous` (the step before this one), a step id from the
+ * same sequence, or `any` (any email the subscriber got). clicked() also
+ * takes `conversion`: a click on a book link (CONVERSION_LINK_PATTERN) in
+ * any email. Segments only take `any` and `conversion`. `within` (90m, 72h,
+ * 3d) only counts engagement in that window before the step came due (or
+ * before now, for segments). Values are compared ignoring case; quote them
+ * when they contain spaces. Combine checks with and, or, not and parentheses.
+ */
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const TOKEN = /\s*(?:(\d+[mhd])\b|(\d+(?:\.\d+)?)(?![\w.-])|([a-z_][\w.-]*)|"((?:[^"\\]|\\.)*)"|'([^']*)'|(!=|<=|>=|[=<>(),]))/iy;
+const ACTIONS = ['opened', 'clicked', 'tagged'];
+const ATTRIBUTES = /^(status|sequence|fields\.[a-z_]\w*)$/i;
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+class ConditionSyntaxError extends Error {
+    constructor(message, source) {
+        super(`${message} in condition "${source}"`);
+        this.name = 'ConditionSyntaxError';
+    }
+}
+
+function tokenize(source) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+
+    while (TOKEN.lastIndex < source.length) {
+        if (!source.slice(TOKEN.lastIndex).trim()) break;
+
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(source);
+        if (!match) {
+            throw new ConditionSyntaxError(`Unexpected "${source.slice(start).trim()[0]}"`, source);
+        }
+
+        const [, duration, number, word, doubleQuoted, singleQuoted, punctuation] = match;
+        if (duration) tokens.push({ type: 'duration', value: Number(duration.slice(0, -1)) * DURATION_UNITS[duration.slice(-1).toLowerCase()] });
+        else if (number) tokens.push({ type: 'number', value: Number(number), text: number });
+        else if (word) tokens.push({ type: 'word', value: word.toLowerCase(), text: word });
+        else if (doubleQuoted !== undefined) tokens.push({ type: 'string', value: JSON.parse(`"${doubleQuoted}"`) });
+        else if (singleQuoted !== undefined) tokens.push({ type: 'string', value: singleQuoted });
+        else if (OPERATORS.includes(punctuation)) tokens.push({ type: 'operator', value: punctuation });
+        else tokens.push({ type: punctuation, value: punctuation });
+    }
+    return tokens;
+}
+
+// Recursive descent, loosest first: or -> and -> not -> check / ( ... ).
+// `segment` leaves out the checks that need a sequence step to refer to
+function parse(source, { segment = false } = {}) {
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position] || { type: 'end', value: 'end of condition' };
+    const isWord = value => peek().type === 'word' && peek().value === value;
+    const expect = (type, description = `"${type}"`) => {
+        const token = peek();
+        if (token.type !== type) {
+            throw new ConditionSyntaxError(`Expected ${description} but found "${token.value}"`, source);
+        }
+        position += 1;
+        return token;
+    };
+
+    function parseComparison() {
+        const attribute = expect('word', 'a check').text;
+        if (!ATTRIBUTES.test(attribute)) {
+            throw new ConditionSyntaxError(`Unknown attribute "${attribute}" (use status, sequence or fields.<name>)`, source);
+        }
+
+        const operator = expect('operator', 'a comparison like =').value;
+        const value = peek();
+        if (!['word', 'number', 'string'].includes(value.type)) {
+            throw new ConditionSyntaxError(`Expected a value after "${attribute} ${operator}"`, source);
+        }
+        position += 1;
+
+        if (operator !== '=' && operator !== '!=' && (value.type !== 'number' || !attribute.includes('.'))) {
+            throw new ConditionSyntaxError(`"${operator}" only compares custom fields with numbers`, source);
+        }
+        return {
+            type: 'compare',
+            attribute: attribute.includes('.') ? attribute : attribute.toLowerCase(),
+            operator,
+            value: value.type === 'word' || value.type === 'number' ? value.text : value.value
+        };
+    }
+
+    function parseCheck() {
+        if (peek().type === 'word' && (tokens[position + 1] || {}).type !== '(') {
+            return parseComparison();
+        }
+
+        const action = expect('word', 'a check like opened(...)').value;
+        if (!ACTIONS.includes(action)) {
+            throw new ConditionSyntaxError(`Unknown check "${action}" (use ${ACTIONS.join(', ')})`, source);
+        }
+        expect('(');
+
+        const target = peek();
+        position += 1;
+        if (action === 'tagged') {
+            if (!['word', 'number', 'string'].includes(target.type)) {
+                throw new ConditionSyntaxError('Expected a tag in tagged()', source);
+            }
+            expect(')');
+            return { type: 'tagged', tag: String(target.text || target.value).toLowerCase() };
+        }
+
+        if (segment && (target.type === 'number' || target.value === 'previous')) {
+            throw new ConditionSyntaxError(`${action}(${target.value}) refers to a sequence step - segments take any or conversion`, source);
+        }
+        const valid = target.type === 'number' ||
+            (target.type === 'word' && ['previous', 'any'].includes(target.value)) ||
+            (target.type === 'word' && target.value === 'conversion' && action === 'clicked');
+        if (!valid) {
+            throw new ConditionSyntaxError(`Unknown email "${target.value}" in ${action}()`, source);
+        }
+
+        let within = null;
+        if (peek().type === ',') {
+            position += 1;
+            within = expect('duration', 'a time window like 72h').value;
+        }
+        expect(')');
+        return { type: 'check', action, target: target.value, within };
+    }
+
+    function parseUnary() {
+        if (isWord('not')) {
+            position += 1;
+            return { type: 'not', operand: parseUnary() };
+        }
+        if (peek().type === '(') {
+            position += 1;
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        return parseCheck();
+    }
+
+    function parseAnd() {
+        let node = parseUnary();
+        while (isWord('and')) {
+            position += 1;
+            node = { type: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    }
+
+    function parseOr() {
+        let node = parseAnd();
+        while (isWord('or')) {
+            position += 1;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        throw new ConditionSyntaxError(`Unexpected "${peek().value}"`, source);
+    }
+    return tree;
+}
+
+// Context: { now, subscriber, sequence, previousId, engagement: [{ type:
+// 'open' | 'click', at (ms), sequence, emailId, conversion }] } - segments
+// have no sequence or previousId
+function evaluate(node, context) {
+    switch (node.type) {
+        case 'and': return evaluate(node.left, context) && evaluate(node.right, context);
+        case 'or': return evaluate(node.left, context) || evaluate(node.right, context);
+        case 'not': return !evaluate(node.operand, context);
+        case 'tagged': return (context.subscriber.tags || []).includes(node.tag);
+        case 'compare': return matchesComparison(node, context.subscriber);
+        default: return context.engagement.some(event => matchesCheck(node, event, context));
+    }
+}
+
+function matchesComparison({ attribute, operator, value }, subscriber) {
+    const equals = actual => String(actual).toLowerCase() === value.toLowerCase();
+
+    if (attribute === 'sequence') {
+        const joined = Object.keys(subscriber.sequences || {}).some(equals);
+        return operator === '=' ? joined : !joined;
+    }
+
+    const actual = attribute === 'status'
+        ? subscriber.status
+        : (subscriber.fields || {})[attribute.slice('fields.'.length)];
+    const missing = actual === undefined || actual === null || actual === '';
+    if (operator === '=') return !missing && equals(actual);
+    if (operator === '!=') return missing || !equals(actual);
+
+    const number = Number(actual);
+    if (missing || Number.isNaN(number)) return false;
+    switch (operator) {
+        case '<': return number < Number(value);
+        case '<=': return number <= Number(value);
+        case '>': return number > Number(value);
+        default: return number >= Number(value);
+    }
+}
+
+function matchesCheck({ action, target, within }, event, context) {
+    if (action === 'clicked' && event.type !== 'click') return false;
+    if (within !== null && event.at < context.now - within) return false;
+
+    if (target === 'any') return true;
+    if (target === 'conversion') return event.conversion;
+
+    const emailId = target === 'previous' ? context.previousId : target;
+    return event.sequence === context.sequence && event.emailId === emailId;
+}
+
+function collectTargets(node, targets = []) {
+    if (node.type === 'check') targets.push(node.target);
+    if (node.left) collectTargets(node.left, targets);
+    if (node.right) collectTargets(node.right, targets);
+    if (node.operand) collectTargets(node.operand, targets);
+    return targets;
+}
+
+// Compile a condition once, when the sequence is loaded. Returns
+// { source, targets, test(context) }; `targets` lists the emails it refers
+// to so the loader can check they exist
+function compileCondition(source) {
+    const tree = parse(String(source));
+    return {
+        source: String(source),
+        targets: collectTargets(tree),
+        test: context => evaluate(tree, context)
+    };
+}
+
+// Compile a segment; test(context) takes { now, subscriber, engagement }
+function compileSegment(source) {
+    const tree = parse(String(source), { segment: true });
+    return {
+        source: String(source),
+        test: context => evaluate(tree, context)
+    };
+}
+
+module.exports = {
+    compileCondition,
+    compileSegment,
+    ConditionSyntaxError
+};
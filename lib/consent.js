@@ -0,0 +1,67 @@
+/**
+ * Consent records for signups
+ *
+ * To show when and how someone agreed to receive marketing email, every form
+ * submission that signs someone up is stored with where it came from:
+ *
+ *   consentedAt     - when the form was submitted
+ *   ip, userAgent   - from the request
+ *   pageUrl         - the form's "pageUrl" field, else the Referer header
+ *                     (for a form post that's the page the form is on)
+ *   referrer        - the form's "referrer" field (document.referrer on the
+ *                     landing page - how the visitor got there)
+ *   utm             - utm_source, utm_medium, utm_campaign, utm_term and
+ *                     utm_content from the form, else from pageUrl's query string
+ *   consentVersion  - the form's "consentVersion" field, else CONSENT_VERSION:
+ *                     which wording of the consent text was shown
+ *
+ * Everything comes from the visitor's browser, so values are trimmed and cut
+ * to a sane length rather than trusted.
+ */
+
+const { clientIp } = require('./subscribe-guard');
+
+const UTM_PARAMETERS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_LENGTH = 2000;
+
+function clean(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = String(value).trim();
+    return text ? text.slice(0, MAX_LENGTH) : null;
+}
+
+function parseUtm(body, pageUrl) {
+    let query = null;
+    try {
+        query = pageUrl ? new URL(pageUrl).searchParams : null;
+    } catch (error) {
+        query = null;
+    }
+
+    const utm = {};
+    UTM_PARAMETERS.forEach(name => {
+        utm[name] = clean(body[`utm_${name}`]) || (query && clean(query.get(`utm_${name}`))) || null;
+    });
+    return utm;
+}
+
+// Consent fields from a subscribe request (Express or Vercel) and its parsed body
+function captureConsent(req, body = {}) {
+    const headers = req.headers || {};
+    const pageUrl = clean(body.pageUrl) || clean(headers.referer);
+
+    return {
+        consentedAt: new Date().toISOString(),
+        ip: clientIp(req) || null,
+        userAgent: clean(headers['user-agent']),
+        pageUrl,
+        referrer: clean(body.referrer),
+        utm: parseUtm(body, pageUrl),
+        consentVersion: clean(body.consentVersion) || process.env.CONSENT_VERSION || null
+    };
+}
+
+module.exports = {
+    UTM_PARAMETERS,
+    captureConsent
+};
@@ -0,0 +1,59 @@
+/**
+ * Queue drain endpoint for schedulers
+ *
+ * Serverless functions are frozen between requests, so the setInterval in
+ * start() can't be relied on there. Instead an external scheduler (Vercel
+ * Cron, GitHub Actions, a crontab running curl) calls
+ *
+ *   GET|POST /cron/process-queue
+ *   Authorization: Bearer <CRON_SECRET>
+ *
+ * every few minutes. Each call drains due emails for up to
+ * CRON_TIME_BUDGET_SECONDS (default 8, under Vercel's 10 second limit) and
+ * responds with what was sent, retried, dead-lettered and deferred - the
+ * same summary goes to the activity log as a `queue-drained` entry.
+ * Without CRON_SECRET the endpoint is disabled.
+ */
+
+const crypto = require('crypto');
+
+function isAuthorized(headers, secret) {
+    const provided = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    const actual = crypto.createHash('sha256').update(provided).digest();
+    return provided.length > 0 && crypto.timingSafeEqual(expected, actual);
+}
+
+// Works as both an Express route handler and a Vercel function
+function createCronHandler(getAutomation) {
+    return async (req, res) => {
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const secret = process.env.CRON_SECRET;
+        if (!secret) {
+            return res.status(503).json({ error: 'Queue drain is disabled - set CRON_SECRET to enable it' });
+        }
+        if (!isAuthorized(req.headers, secret)) {
+            return res.status(401).json({ error: 'Invalid or missing cron secret' });
+        }
+
+        try {
+            const timeBudget = (Number(process.env.CRON_TIME_BUDGET_SECONDS) || 8) * 1000;
+            const automation = getAutomation();
+            const summary = await automation.processAutomationQueue({ timeBudget });
+
+            if (summary.running) {
+                return res.status(409).json({ success: false, error: 'A queue run is already in progress' });
+            }
+            await automation.logEvent('queue-drained', { ...summary, actor: 'cron' });
+            res.json({ success: true, ...summary, timestamp: new Date().toISOString() });
+        } catch (error) {
+            console.error('❌ Queue drain error:', error);
+            res.status(500).json({ success: false, error: 'Queue drain failed', message: error.message });
+        }
+    };
+}
+
+module.exports = { createCronHandler };
@@ -0,0 +1,96 @@
+/**
+ * CSV reading and writing for subscriber import and export
+ *
+ * Parses RFC 4180 CSV as written by Mailchimp, Formspree and spreadsheets:
+ * quoted fields with embedded commas, quotes ("") and line breaks, CRLF or
+ * LF line endings and an optional UTF-8 byte order mark.
+ */
+
+class CsvSyntaxError extends Error {
+    constructor(message, line) {
+        super(`${message} (line ${line})`);
+        this.name = 'CsvSyntaxError';
+        this.line = line;
+    }
+}
+
+// CSV text -> [{ line, values }], one per non-blank row; `line` is where the
+// row starts, for error reports
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let values = [];
+    let value = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endValue = () => {
+        values.push(value);
+        value = '';
+    };
+    const endRow = () => {
+        endValue();
+        if (values.length > 1 || values[0] !== '') rows.push({ line: rowLine, values });
+        values = [];
+    };
+
+    for (let index = 0; index < source.length; index += 1) {
+        const char = source[index];
+
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                value += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line += 1;
+                value += char;
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endValue();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') index += 1;
+            endRow();
+            line += 1;
+            rowLine = line;
+        } else {
+            value += char;
+        }
+    }
+
+    if (quoted) throw new CsvSyntaxError('Unclosed quoted field', rowLine);
+    if (value !== '' || values.length > 0) endRow();
+    return rows;
+}
+
+// Spreadsheets run cells starting with these as formulas - a signup form is
+// no place to let strangers put one in front of whoever opens the export
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatValue(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undo formatValue's guard on a cell read back in, so an exported "+05:30"
+// imports as "+05:30" rather than "'+05:30"
+function stripFormulaGuard(value) {
+    return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+// [[...], ...] -> CSV text with CRLF line endings
+function formatCsv(rows) {
+    return rows.map(row => row.map(formatValue).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    CsvSyntaxError,
+    formatCsv,
+    parseCsv,
+    stripFormulaGuard
+};
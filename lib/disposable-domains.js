@@ -0,0 +1,45 @@
+/**
+ * Throwaway-inbox domains rejected at signup
+ *
+ * Not exhaustive - these are the services that show up most in list-bombing
+ * and fake signups. Add more with DISPOSABLE_DOMAINS (comma-separated).
+ * Subdomains match too ("x.mailinator.com").
+ */
+
+module.exports = [
+    '10minutemail.com',
+    '20minutemail.com',
+    'discard.email',
+    'dispostable.com',
+    'emailondeck.com',
+    'fakeinbox.com',
+    'getairmail.com',
+    'getnada.com',
+    'guerrillamail.biz',
+    'guerrillamail.com',
+    'guerrillamail.de',
+    'guerrillamail.net',
+    'guerrillamail.org',
+    'guerrillamailblock.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailinator.net',
+    'mailnesia.com',
+    'mintemail.com',
+    'mohmal.com',
+    'mytemp.email',
+    'sharklasers.com',
+    'spam4.me',
+    'spamgourmet.com',
+    'temp-mail.org',
+    'tempail.com',
+    'tempmail.com',
+    'tempmail.net',
+    'tempr.email',
+    'throwawaymail.com',
+    'trashmail.com',
+    'trashmail.de',
+    'yopmail.com',
+    'yopmail.fr',
+    'yopmail.net'
+];
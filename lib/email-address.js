@@ -0,0 +1,22 @@
+/**
+ * Email address normalization
+ *
+ * Subscribers are identified by a normalized form of their address, so
+ * "Ann@Example.com" and "ann@example.com" are the same person. Optionally
+ * plus-tags are dropped too ("ann+journal@example.com" -> "ann@example.com").
+ * The address as typed is still what we send to.
+ */
+
+function normalizeEmail(email, { stripPlusTags = false } = {}) {
+    const normalized = String(email).trim().toLowerCase();
+    if (!stripPlusTags) return normalized;
+
+    const at = normalized.lastIndexOf('@');
+    const local = normalized.slice(0, at);
+    const domain = normalized.slice(at + 1);
+    const plus = local.indexOf('+');
+
+    return plus > 0 ? `${local.slice(0, plus)}@${domain}` : normalized;
+}
+
+module.exports = { normalizeEmail };
@@ -0,0 +1,77 @@
+/**
+ * A/B tests of sequence emails
+ *
+ * A step becomes an experiment when extra files in the sequence directory
+ * share its id and name a variant (see lib/sequence-loader.js). Each
+ * subscriber is assigned a variant by hashing their id with the step, so the
+ * split follows the weights but a subscriber always gets the same variant -
+ * on retries, resends and restarted sequences alike.
+ *
+ * With AB_PROMOTE_AFTER set, once every variant of a step has been sent that
+ * many times the best one by AB_PROMOTE_METRIC (opens, clicks or
+ * conversions; default clicks) is promoted and everyone gets it from then on.
+ * Only emails sent at least SETTLE_TIME ago count towards the sample, since
+ * most opens and clicks come in during the first day, and a variant has to
+ * be strictly ahead to win.
+ */
+
+const crypto = require('crypto');
+
+const SETTLE_TIME = 24 * 60 * 60 * 1000;
+
+// Promotion metric -> the count it compares
+const METRICS = { opens: 'opened', clicks: 'clicked', conversions: 'conversions' };
+
+// Stable number in [0, 1) for a subscriber and step
+function bucket(key) {
+    return crypto.createHash('sha256').update(key).digest().readUInt32BE(0) / 0x100000000;
+}
+
+// Weighted pick from [{ name, weight, ... }], fixed for a given key
+function assignVariant(variants, key) {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = bucket(key) * total;
+
+    for (const variant of variants) {
+        point -= variant.weight;
+        if (point < 0) return variant;
+    }
+    return variants[variants.length - 1];
+}
+
+// Per-variant counts for one step from its sent queue items:
+// [{ name, subject, template, weight, sent, opened, clicked, conversions }].
+// isConversion(item) tells whether a book link in that email was clicked
+function summarizeVariants(variants, sentItems, isConversion) {
+    return variants.map(variant => {
+        const items = sentItems.filter(item => item.variant === variant.name);
+        return {
+            name: variant.name,
+            subject: variant.subject,
+            template: variant.template,
+            weight: variant.weight,
+            sent: items.length,
+            opened: items.filter(item => item.openedAt).length,
+            clicked: items.filter(item => item.clickedAt).length,
+            conversions: items.filter(isConversion).length
+        };
+    });
+}
+
+// The variant to promote once every variant has `threshold` sends, or null
+// (also while the leaders are tied)
+function pickWinner(results, { threshold, metric = 'clicks' }) {
+    if (!threshold || results.some(result => result.sent < threshold)) return null;
+
+    const rateOf = result => result[METRICS[metric]] / result.sent;
+    const [best, runnerUp] = [...results].sort((a, b) => rateOf(b) - rateOf(a));
+    return rateOf(best) > rateOf(runnerUp) ? best.name : null;
+}
+
+module.exports = {
+    METRICS,
+    SETTLE_TIME,
+    assignVariant,
+    pickWinner,
+    summarizeVariants
+};
@@ -0,0 +1,58 @@
+/**
+ * Front matter parser for the Markdown email files
+ *
+ * Handles the small subset of YAML the email files need: one `key: value`
+ * per line, where values are numbers, booleans, or strings (optionally
+ * quoted). Lines starting with # and trailing " # ..." on unquoted
+ * values are comments.
+ *
+ *   ---
+ *   id: 2
+ *   delay: 24h
+ *   subject: "The day I threw away 3 journals (and immediately regretted it)"
+ *   template: story-social-proof
+ *   ---
+ */
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+function parseValue(raw) {
+    let value = raw.trim();
+
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+        return JSON.parse(value);
+    }
+    if (value.startsWith('\'') && value.endsWith('\'') && value.length > 1) {
+        return value.slice(1, -1).replace(/''/g, '\'');
+    }
+    value = value.replace(/\s+#.*$/, '');
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+    return value;
+}
+
+// Returns { attributes, body }. Throws on lines that aren't `key: value`.
+function parseFrontMatter(source) {
+    const match = source.match(FRONT_MATTER);
+    if (!match) {
+        return { attributes: {}, body: source };
+    }
+
+    const attributes = {};
+    match[1].split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            throw new Error(`Invalid front matter on line ${index + 2}: "${line}"`);
+        }
+
+        attributes[line.slice(0, separator).trim()] = parseValue(line.slice(separator + 1));
+    });
+
+    return { attributes, body: source.slice(match[0].length) };
+}
+
+module.exports = { parseFrontMatter };
@@ -0,0 +1,189 @@
+/**
+ * Markdown renderer for email bodies
+ *
+ * Renders the same Markdown source to email-friendly HTML (inline styles,
+ * no CSS classes) and to a plain-text alternative. Supports the handful of
+ * constructs the emails use:
+ *
+ *   # Heading / ## Subheading
+ *   **bold** and *italic*
+ *   [link text](https://...)            - inline link
+ *   [Call to action](https://... "button") - styled button
+ *   - bullet lists and 1. numbered lists
+ *   --- horizontal rule
+ *
+ * Lines within a paragraph are kept as line breaks ("Happy writing,\nRobert").
+ * Template block tags ({{#if ...}}, {{else}}, {{/each}}) on a line of their
+ * own are passed through untouched, outside any <p>, so a skipped branch
+ * doesn't leave an empty paragraph behind. Inside a list they wrap the
+ * items, so {{#each}} repeats the <li>.
+ */
+
+const { escapeHtml } = require('./pages');
+
+const ACCENT = '#7c3aed';
+const BLOCK_TAG = /^\{\{(?:[#/][^}]*|else)\}\}$/;
+const LINK = /\[([^\]]+)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g;
+
+const styles = {
+    heading: `color: ${ACCENT};`,
+    link: `color: ${ACCENT};`,
+    button: `background: ${ACCENT}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;`
+};
+
+// Body text only needs &, < and > escaped; quotes are left readable
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderEmphasis(text) {
+    return text
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>');
+}
+
+function renderInlineHtml(text) {
+    // Pull links out first so escaping and emphasis don't touch their URLs
+    const links = [];
+    const withPlaceholders = text.replace(LINK, (match, label, url, title) => {
+        const style = title === 'button' ? styles.button : styles.link;
+        links.push(`<a href="${escapeHtml(url)}" style="${style}">${renderEmphasis(escapeText(label))}</a>`);
+        return `\u0000${links.length - 1}\u0000`;
+    });
+
+    return renderEmphasis(escapeText(withPlaceholders))
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => links[index]);
+}
+
+function renderInlineText(text) {
+    return text
+        .replace(LINK, (match, label, url, title) => {
+            if (label === url) return url;
+            return title === 'button' ? `${label}: ${url}` : `${label} (${url})`;
+        })
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/\*(.+?)\*/g, '$1');
+}
+
+const isTag = line => BLOCK_TAG.test(line);
+const tagBlock = line => ({ type: 'tag', value: line });
+
+const LIST_ITEMS = [/^[-*]\s+/, /^\d+\.\s+/];
+
+function classify(lines) {
+    const heading = lines[0].match(/^(#{1,3})\s+(.*)$/);
+    if (lines.length === 1 && heading) {
+        return { type: 'heading', level: heading[1].length, text: heading[2] };
+    }
+    if (lines.length === 1 && /^-{3,}$/.test(lines[0])) {
+        return { type: 'rule' };
+    }
+
+    // Lists keep their tag lines as items so a loop repeats the <li>, not
+    // the whole list
+    const content = lines.filter(line => !isTag(line));
+    const marker = LIST_ITEMS.find(pattern => content.every(line => pattern.test(line)));
+    if (marker) {
+        return {
+            type: 'list',
+            ordered: marker === LIST_ITEMS[1],
+            items: lines.map(line => (isTag(line) ? tagBlock(line) : { type: 'item', text: line.replace(marker, '') }))
+        };
+    }
+    return { type: 'paragraph', lines };
+}
+
+// Anywhere but inside a list, a tag line splits the block around it
+function parseBlock(lines) {
+    const content = lines.filter(line => !isTag(line));
+    if (content.length > 0 && classify(lines).type === 'list') {
+        return [classify(lines)];
+    }
+
+    const blocks = [];
+    let run = [];
+    lines.forEach(line => {
+        if (!isTag(line)) {
+            run.push(line);
+            return;
+        }
+        if (run.length > 0) blocks.push(classify(run));
+        blocks.push(tagBlock(line));
+        run = [];
+    });
+    if (run.length > 0) blocks.push(classify(run));
+    return blocks;
+}
+
+// Split the source into blocks separated by blank lines
+function parseBlocks(markdown) {
+    return markdown
+        .replace(/\r\n/g, '\n')
+        .split(/\n\s*\n/)
+        .map(block => block.split('\n').map(line => line.trim() && (isTag(line.trim()) ? line.trim() : line.trimEnd())).filter(Boolean))
+        .filter(lines => lines.length > 0)
+        .flatMap(parseBlock);
+}
+
+// Join rendered blocks, attaching template tags to the block that follows
+// them so a skipped branch takes its separator with it
+function joinBlocks(blocks, render, separator) {
+    const parts = [];
+    let tags = '';
+    blocks.forEach(block => {
+        if (block.type === 'tag') {
+            tags += block.value;
+            return;
+        }
+        parts.push(tags + render(block));
+        tags = '';
+    });
+    if (tags) {
+        parts.length > 0 ? parts[parts.length - 1] += tags : parts.push(tags);
+    }
+    return parts.join(separator);
+}
+
+function renderHtml(markdown) {
+    return joinBlocks(parseBlocks(markdown), block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level} style="${styles.heading}">${renderInlineHtml(block.text)}</h${block.level}>`;
+            case 'rule':
+                return '<hr style="margin: 30px 0;">';
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const items = joinBlocks(block.items, item => `<li>${renderInlineHtml(item.text)}</li>`, '\n        ');
+                return `<${tag}>\n        ${items}\n    </${tag}>`;
+            }
+            default:
+                return `<p>${block.lines.map(renderInlineHtml).join('<br>')}</p>`;
+        }
+    }, '\n    \n    ');
+}
+
+function renderText(markdown) {
+    return joinBlocks(parseBlocks(markdown), block => {
+        switch (block.type) {
+            case 'heading':
+                return renderInlineText(block.text);
+            case 'rule':
+                return '---';
+            case 'list': {
+                let number = 0;
+                return joinBlocks(block.items, item => {
+                    number += 1;
+                    return `${block.ordered ? `${number}.` : '-'} ${renderInlineText(item.text)}`;
+                }, '\n');
+            }
+            default:
+                return block.lines.map(renderInlineText).join('\n');
+        }
+    }, '\n\n');
+}
+
+module.exports = {
+    escapeText,
+    renderHtml,
+    renderText
+};
@@ -0,0 +1,73 @@
+/**
+ * MIME message builder
+ *
+ * Turns a provider-neutral message ({ from, to, subject, html, text, headers })
+ * into an RFC 5322 multipart/alternative document for transports that speak
+ * raw SMTP. Bodies are base64 encoded so emoji and long lines survive any relay.
+ */
+
+const { randomUUID } = require('crypto');
+
+const CRLF = '\r\n';
+
+function isAscii(value) {
+    return /^[\x20-\x7e]*$/.test(value);
+}
+
+// RFC 2047 encoded-word for headers that contain non-ASCII text
+function encodeHeaderValue(value) {
+    if (isAscii(value)) return value;
+    return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function formatAddress({ email, name }) {
+    if (!name) return `<${email}>`;
+    const displayName = isAscii(name) ? `"${name.replace(/(["\\])/g, '\\$1')}"` : encodeHeaderValue(name);
+    return `${displayName} <${email}>`;
+}
+
+function encodeBody(content) {
+    return Buffer.from(content, 'utf8').toString('base64').replace(/.{1,76}/g, '$&' + CRLF);
+}
+
+function createMessageId(fromEmail) {
+    const domain = fromEmail.split('@')[1] || 'localhost';
+    return `<${randomUUID()}@${domain}>`;
+}
+
+function buildMessage(message, { messageId = createMessageId(message.from.email), date = new Date() } = {}) {
+    const boundary = `alt_${randomUUID().replace(/-/g, '')}`;
+    const headers = {
+        From: formatAddress(message.from),
+        To: formatAddress(message.to),
+        Subject: encodeHeaderValue(message.subject),
+        Date: date.toUTCString(),
+        'Message-ID': messageId,
+        'MIME-Version': '1.0',
+        ...message.headers,
+        'Content-Type': `multipart/alternative; boundary="${boundary}"`
+    };
+
+    const lines = Object.entries(headers).map(([key, value]) => `${key}: ${value}`);
+    const parts = [
+        ['text/plain', message.text],
+        ['text/html', message.html]
+    ].map(([type, content]) => [
+        `--${boundary}`,
+        `Content-Type: ${type}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(content)
+    ].join(CRLF));
+
+    return {
+        messageId,
+        raw: [...lines, '', ...parts, `--${boundary}--`, ''].join(CRLF)
+    };
+}
+
+module.exports = {
+    buildMessage,
+    encodeHeaderValue,
+    formatAddress
+};
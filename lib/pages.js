@@ -0,0 +1,69 @@
+/**
+ * Small HTML pages for links people open from their inbox
+ * (confirmation, unsubscribe). Styled to match the emails.
+ *
+ * Confirmation and unsubscribe links open a page with a single button
+ * rather than acting on GET, because mail scanners prefetch links in emails
+ * - a prefetch mustn't confirm a signup nobody asked for.
+ */
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderPage(title, message, extraHtml = '') {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 40px 20px;">
+    <h1 style="color: #7c3aed;">${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${extraHtml}
+</body>
+</html>`;
+}
+
+// What to show for each result of BookEmailAutomation.confirm()
+const confirmationPages = {
+    confirmed: ['You\'re confirmed! 🎉', 'Your 50 Transition Journal Prompts are on their way - check your inbox.'],
+    'already-confirmed': ['Already confirmed', 'Your subscription is already active. Check your inbox for your prompts.'],
+    expired: ['This link has expired', 'Please sign up again to get your journal prompts.'],
+    inactive: ['Nothing to confirm', 'This subscription isn\'t active anymore, so no emails will be sent. Sign up again if you\'d like your journal prompts.'],
+    invalid: ['Invalid confirmation link', 'Please check the link in your email, or sign up again.']
+};
+
+// What to show for each result of BookEmailAutomation.unsubscribe()
+const unsubscribePages = {
+    unsubscribed: ['You\'ve been unsubscribed', 'You won\'t receive any more emails from me. Keep writing!'],
+    'already-unsubscribed': ['Already unsubscribed', 'You\'re not on the list anymore - no further emails will be sent.'],
+    invalid: ['Invalid unsubscribe link', 'Please use the link from your most recent email, or reply to it and I\'ll remove you by hand.']
+};
+
+function buttonForm(token, label) {
+    return `<form method="POST" action="?token=${encodeURIComponent(token)}">
+        <button type="submit" style="background: #7c3aed; color: white; padding: 12px 24px; border: none; border-radius: 6px; font-size: 16px; cursor: pointer;">${escapeHtml(label)}</button>
+    </form>`;
+}
+
+function renderConfirmPage(token) {
+    return renderPage('Confirm your subscription', 'Click below to confirm and get your 50 Transition Journal Prompts.',
+        buttonForm(token, 'Confirm my subscription'));
+}
+
+function renderUnsubscribeConfirmPage(token) {
+    return renderPage('Unsubscribe?', 'Click below to stop receiving journaling emails from me.', buttonForm(token, 'Unsubscribe'));
+}
+
+module.exports = {
+    confirmationPages,
+    escapeHtml,
+    renderConfirmPage,
+    renderPage,
+    renderUnsubscribeConfirmPage,
+    unsubscribePages
+};
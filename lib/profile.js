@@ -0,0 +1,69 @@
+/**
+ * Custom fields and tags on subscribers
+ *
+ * Besides name and email, a subscriber can carry free-form `fields`
+ * ({ transition: 'career' }) and `tags` (['podcast', 'vip']). The signup
+ * form sets them ("fields[transition]=career", "tags=podcast,vip", or the
+ * same as JSON) and the admin API can change them. Templates use them as
+ * {{fields.transition}} and {{#each tags}}, segments as fields.transition =
+ * career and tagged(vip) (lib/conditions.js).
+ *
+ * Form input comes from strangers, so it is cleaned rather than trusted:
+ * field names must be identifiers, values are cut to MAX_VALUE_LENGTH, tags
+ * are lowercased with spaces turned into dashes, and anything beyond
+ * MAX_FIELDS fields or MAX_TAGS tags is dropped.
+ */
+
+const FIELD_NAME = /^[a-z_]\w{0,39}$/i;
+const TAG = /^[a-z0-9][\w-]{0,39}$/;
+const MAX_FIELDS = 20;
+const MAX_TAGS = 20;
+const MAX_VALUE_LENGTH = 200;
+
+// Form or JSON input -> { name: value }; a null value means "remove the field"
+function cleanFields(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return {};
+
+    const fields = {};
+    Object.entries(input)
+        .filter(([name]) => FIELD_NAME.test(name))
+        .slice(0, MAX_FIELDS)
+        .forEach(([name, value]) => {
+            if (value === null) fields[name] = null;
+            else if (typeof value === 'number' || typeof value === 'boolean') fields[name] = value;
+            else if (typeof value === 'string') fields[name] = value.trim().slice(0, MAX_VALUE_LENGTH);
+        });
+    return fields;
+}
+
+// ['VIP', 'Book club'] or "vip, book club" -> ['vip', 'book-club']
+function cleanTags(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(',');
+    const tags = list
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+        .filter(tag => TAG.test(tag));
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+// The subscriber's fields and tags with changes applied: fields are merged
+// (null removes one), tags are added - or replace the old ones entirely
+// with { replaceTags: true }
+function mergeProfile(subscriber, { fields, tags } = {}, { replaceTags = false } = {}) {
+    const merged = Object.entries({ ...subscriber.fields || {}, ...cleanFields(fields) })
+        .filter(([, value]) => value !== null)
+        .slice(0, MAX_FIELDS);
+
+    const added = tags === undefined ? [] : cleanTags(tags);
+    const kept = replaceTags && tags !== undefined ? [] : subscriber.tags || [];
+    return {
+        fields: Object.fromEntries(merged),
+        tags: [...new Set([...kept, ...added])].slice(0, MAX_TAGS)
+    };
+}
+
+module.exports = {
+    cleanFields,
+    cleanTags,
+    mergeProfile
+};
@@ -0,0 +1,24 @@
+/**
+ * Console delivery adapter
+ *
+ * Logs emails instead of sending them. Used for local development and the
+ * CLI demo, or whenever the selected provider has no API key configured.
+ */
+
+const { randomUUID } = require('crypto');
+
+class ConsoleProvider {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send(message) {
+        console.log(`\n📧 EMAIL SENT TO: ${message.to.email}`);
+        console.log(`📝 SUBJECT: ${message.subject}`);
+        console.log(`📄 CONTENT PREVIEW: ${message.text.substring(0, 200)}...`);
+
+        return { messageId: `console_${randomUUID()}` };
+    }
+}
+
+module.exports = ConsoleProvider;
@@ -0,0 +1,83 @@
+/**
+ * ConvertKit (Kit) delivery adapter
+ *
+ * Kit has no single-recipient send endpoint, only broadcasts. To deliver one
+ * email to one person the adapter upserts the subscriber, gives them a
+ * personal tag, and creates an immediate private broadcast filtered to that
+ * tag. The broadcast id is returned as the message id.
+ *
+ * Limitations, for anyone choosing a provider:
+ *   - Every email leaves a private broadcast behind in the Kit account.
+ *   - Each recipient keeps one personal tag, reused for all their emails.
+ *     Its name is a hash of the address, so addresses don't end up in tag
+ *     names. Kit picks a broadcast's recipients when it goes out, not when
+ *     it's created, so the tag can't be removed straight after the
+ *     broadcast is created without risking an email to nobody.
+ *   - Erasing a subscriber here doesn't delete them, their tag or their
+ *     broadcasts from Kit; do that in Kit as well.
+ * For transactional sending use SendGrid, Mailchimp Transactional or SMTP.
+ *
+ * Broadcasts can't carry custom headers, so `message.headers` (such as
+ * List-Unsubscribe) is ignored - Kit adds its own unsubscribe link and headers.
+ */
+
+const crypto = require('crypto');
+const { normalizeEmail } = require('../email-address');
+const { requestJson } = require('./http-client');
+const ProviderError = require('./provider-error');
+
+function recipientTag(email) {
+    const hash = crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+    return `recipient:${hash.slice(0, 24)}`;
+}
+
+class ConvertKitProvider {
+    constructor(config) {
+        this.name = 'convertkit';
+        this.apiKey = config.apiKey;
+        this.baseUrl = config.baseUrl || 'https://api.kit.com';
+    }
+
+    async call(path, body) {
+        let response;
+        try {
+            response = await requestJson(`${this.baseUrl}${path}`, {
+                method: 'POST',
+                headers: { 'X-Kit-Api-Key': this.apiKey },
+                body
+            });
+        } catch (error) {
+            throw ProviderError.fromNetworkError(this.name, error);
+        }
+
+        if (response.status < 200 || response.status >= 300) {
+            throw ProviderError.fromResponse(this.name, response);
+        }
+
+        return response.body;
+    }
+
+    async send(message) {
+        const { subscriber } = await this.call('/v4/subscribers', {
+            email_address: message.to.email,
+            first_name: message.to.name
+        });
+
+        // Creating a tag that already exists returns it, so this is one tag per recipient
+        const { tag } = await this.call('/v4/tags', { name: recipientTag(message.to.email) });
+        await this.call(`/v4/tags/${tag.id}/subscribers/${subscriber.id}`, {});
+
+        const { broadcast } = await this.call('/v4/broadcasts', {
+            subject: message.subject,
+            content: message.html,
+            description: `${message.subject} -> ${tag.name}`,
+            public: false,
+            send_at: new Date().toISOString(),
+            subscriber_filter: [{ all: [{ type: 'tag', ids: [tag.id] }] }]
+        });
+
+        return { messageId: String(broadcast.id) };
+    }
+}
+
+module.exports = ConvertKitProvider;
@@ -0,0 +1,59 @@
+/**
+ * Minimal JSON-over-HTTP client used by the provider adapters.
+ *
+ * Supports both http and https so adapters can be pointed at a local mock
+ * server through their base URL.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 15000;
+
+function requestJson(url, { method = 'GET', headers = {}, body, timeout = DEFAULT_TIMEOUT } = {}) {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const payload = body === undefined ? null : JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(target, {
+            method,
+            headers: {
+                Accept: 'application/json',
+                ...(payload ? {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(payload)
+                } : {}),
+                ...headers
+            }
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const raw = Buffer.concat(chunks).toString('utf8');
+                let parsed = raw;
+                try {
+                    parsed = raw ? JSON.parse(raw) : null;
+                } catch (error) {
+                    // Not JSON - hand back the raw text
+                }
+
+                resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: parsed
+                });
+            });
+        });
+
+        req.setTimeout(timeout, () => {
+            req.destroy(new Error(`Request to ${target.host} timed out after ${timeout}ms`));
+        });
+        req.on('error', reject);
+
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+module.exports = { requestJson };
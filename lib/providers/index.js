@@ -0,0 +1,43 @@
+/**
+ * Email Provider Adapters
+ *
+ * Every adapter exposes the same method:
+ *
+ *   send({ to, from, subject, html, text, headers }) -> { messageId }
+ *
+ * where `to` and `from` are `{ email, name }`. Failures are thrown as
+ * ProviderError so callers can tell permanent from transient errors.
+ *
+ * The HTTP adapters accept a `baseUrl` in their config, which is how tests
+ * point them at a local mock server instead of the real API. The SMTP
+ * adapter is pointed at a local SMTP sink through its host and port.
+ */
+
+const ConsoleProvider = require('./console');
+const ConvertKitProvider = require('./convertkit');
+const MailchimpProvider = require('./mailchimp');
+const ProviderError = require('./provider-error');
+const SendGridProvider = require('./sendgrid');
+const SmtpProvider = require('./smtp');
+
+const adapters = {
+    console: ConsoleProvider,
+    convertkit: ConvertKitProvider,
+    mailchimp: MailchimpProvider,
+    sendgrid: SendGridProvider,
+    smtp: SmtpProvider
+};
+
+function createProvider(name, config = {}) {
+    const Adapter = adapters[name];
+    if (!Adapter) {
+        throw new Error(`Unknown email provider: ${name}`);
+    }
+
+    return new Adapter(config);
+}
+
+module.exports = {
+    createProvider,
+    ProviderError
+};
@@ -0,0 +1,72 @@
+/**
+ * Mailchimp delivery adapter
+ *
+ * One-to-one emails go through Mailchimp Transactional (formerly Mandrill),
+ * so MAILCHIMP_API_KEY must be a Transactional API key. The API reports
+ * per-recipient results in the response body, including rejections, and
+ * returns HTTP 500 for account-level errors such as an invalid key.
+ */
+
+const { requestJson } = require('./http-client');
+const ProviderError = require('./provider-error');
+
+// Error names from the Transactional API that retrying will never fix
+const PERMANENT_ERRORS = ['Invalid_Key', 'ValidationError', 'PaymentRequired', 'Unknown_Subaccount'];
+
+class MailchimpProvider {
+    constructor(config) {
+        this.name = 'mailchimp';
+        this.apiKey = config.apiKey;
+        this.baseUrl = config.baseUrl || 'https://mandrillapp.com/api/1.0';
+    }
+
+    buildPayload(message) {
+        return {
+            key: this.apiKey,
+            message: {
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+                from_email: message.from.email,
+                from_name: message.from.name,
+                to: [{ ...message.to, type: 'to' }],
+                ...(message.headers ? { headers: message.headers } : {})
+            }
+        };
+    }
+
+    async send(message) {
+        let response;
+        try {
+            response = await requestJson(`${this.baseUrl}/messages/send`, {
+                method: 'POST',
+                body: this.buildPayload(message)
+            });
+        } catch (error) {
+            throw ProviderError.fromNetworkError(this.name, error);
+        }
+
+        if (response.status !== 200) {
+            const error = ProviderError.fromResponse(this.name, response);
+            if (response.body && PERMANENT_ERRORS.includes(response.body.name)) {
+                error.permanent = true;
+                error.message = `${this.name}: ${response.body.message}`;
+            }
+            throw error;
+        }
+
+        const [result] = response.body || [];
+        if (!result || result.status === 'rejected' || result.status === 'invalid') {
+            throw new ProviderError(`${this.name} rejected ${message.to.email}: ${result ? result.reject_reason || result.status : 'empty response'}`, {
+                provider: this.name,
+                status: response.status,
+                permanent: Boolean(result),
+                response: response.body
+            });
+        }
+
+        return { messageId: result._id };
+    }
+}
+
+module.exports = MailchimpProvider;
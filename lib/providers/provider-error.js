@@ -0,0 +1,38 @@
+/**
+ * Error thrown by provider adapters when a send fails.
+ *
+ * `permanent` marks failures that will never succeed on retry (bad address,
+ * rejected API key, invalid payload). Everything else - timeouts, 5xx
+ * responses, rate limits - is treated as transient.
+ */
+
+class ProviderError extends Error {
+    constructor(message, { provider, status = null, permanent = false, response = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.permanent = permanent;
+        this.response = response;
+    }
+
+    // 4xx means the request itself is wrong, except for timeouts and rate limits
+    static fromResponse(provider, response) {
+        const permanent = response.status >= 400 && response.status < 500 &&
+            response.status !== 408 && response.status !== 429;
+
+        return new ProviderError(`${provider} responded with HTTP ${response.status}`, {
+            provider,
+            status: response.status,
+            permanent,
+            response: response.body
+        });
+    }
+
+    // The request never got a response (DNS failure, refused connection, timeout)
+    static fromNetworkError(provider, error) {
+        return new ProviderError(`${provider} request failed: ${error.message}`, { provider });
+    }
+}
+
+module.exports = ProviderError;
@@ -0,0 +1,51 @@
+/**
+ * SendGrid delivery adapter
+ *
+ * Sends through the v3 Mail Send API. SendGrid answers 202 with an empty
+ * body; the message id comes back in the X-Message-Id header.
+ */
+
+const { requestJson } = require('./http-client');
+const ProviderError = require('./provider-error');
+
+class SendGridProvider {
+    constructor(config) {
+        this.name = 'sendgrid';
+        this.apiKey = config.apiKey;
+        this.baseUrl = config.baseUrl || 'https://api.sendgrid.com';
+    }
+
+    buildPayload(message) {
+        return {
+            personalizations: [{ to: [message.to] }],
+            from: message.from,
+            subject: message.subject,
+            content: [
+                { type: 'text/plain', value: message.text },
+                { type: 'text/html', value: message.html }
+            ],
+            ...(message.headers ? { headers: message.headers } : {})
+        };
+    }
+
+    async send(message) {
+        let response;
+        try {
+            response = await requestJson(`${this.baseUrl}/v3/mail/send`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${this.apiKey}` },
+                body: this.buildPayload(message)
+            });
+        } catch (error) {
+            throw ProviderError.fromNetworkError(this.name, error);
+        }
+
+        if (response.status !== 202 && response.status !== 200) {
+            throw ProviderError.fromResponse(this.name, response);
+        }
+
+        return { messageId: response.headers['x-message-id'] };
+    }
+}
+
+module.exports = SendGridProvider;
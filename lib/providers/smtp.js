@@ -0,0 +1,223 @@
+/**
+ * SMTP delivery adapter
+ *
+ * Sends through a self-hosted mail relay. Opens one connection per message:
+ * EHLO, upgrade with STARTTLS when the server offers it (or connect over
+ * implicit TLS with SMTP_SECURE=true), authenticate with AUTH PLAIN or
+ * AUTH LOGIN when credentials are configured, then hand over the message.
+ * Credentials are never sent over a plain connection: without TLS or
+ * STARTTLS the send fails permanently, unless SMTP_ALLOW_INSECURE_AUTH=true
+ * (for a relay on localhost or a trusted private network).
+ *
+ * 5xx replies are permanent failures, everything else is retried.
+ */
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { buildMessage } = require('../mime');
+const ProviderError = require('./provider-error');
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Wraps a socket and hands back one complete (possibly multi-line) reply at a time
+class ReplyReader {
+    constructor(socket) {
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        this.socket = socket;
+        this.onData = chunk => {
+            this.buffer += chunk.toString('utf8');
+            this.flush();
+        };
+        socket.on('data', this.onData);
+    }
+
+    // Stop reading before the socket is handed to TLS
+    detach() {
+        this.socket.removeListener('data', this.onData);
+    }
+
+    flush() {
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+
+            // "250-..." continues the reply, "250 ..." ends it
+            if (line.charAt(3) !== '-' && this.waiting) {
+                const lines = this.lines;
+                this.lines = [];
+                const resolve = this.waiting;
+                this.waiting = null;
+                resolve({
+                    code: parseInt(lines[0].slice(0, 3), 10),
+                    lines: lines.map(l => l.slice(4)),
+                    text: lines.join('\n')
+                });
+            }
+        }
+    }
+
+    next() {
+        return new Promise(resolve => {
+            this.waiting = resolve;
+            this.flush();
+        });
+    }
+}
+
+class SmtpProvider {
+    constructor(config) {
+        this.name = 'smtp';
+        this.host = config.host;
+        this.port = Number(config.port) || (config.secure ? 465 : 587);
+        this.secure = Boolean(config.secure);
+        this.startTls = config.startTls !== false;
+        this.user = config.user;
+        this.pass = config.pass;
+        this.allowInsecureAuth = Boolean(config.allowInsecureAuth);
+        this.clientName = config.clientName || os.hostname();
+        this.timeout = config.timeout || DEFAULT_TIMEOUT;
+        this.tlsOptions = {
+            rejectUnauthorized: config.rejectUnauthorized !== false,
+            // SNI only takes host names, not IP addresses
+            ...(net.isIP(this.host || '') ? {} : { servername: this.host })
+        };
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port, ...this.tlsOptions };
+            const socket = this.secure
+                ? tls.connect(options, () => resolve(socket))
+                : net.connect(options, () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    upgrade(socket) {
+        return new Promise((resolve, reject) => {
+            const secureSocket = tls.connect({ socket, ...this.tlsOptions }, () => resolve(secureSocket));
+            secureSocket.once('error', reject);
+        });
+    }
+
+    async command(session, line, expected) {
+        if (line !== null) session.socket.write(`${line}\r\n`);
+        const reply = await session.reader.next();
+
+        if (!expected.includes(reply.code)) {
+            const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+            throw new ProviderError(`${this.name}: ${shown || 'greeting'} failed - ${reply.text}`, {
+                provider: this.name,
+                status: reply.code,
+                permanent: reply.code >= 500,
+                response: reply.text
+            });
+        }
+        return reply;
+    }
+
+    async hello(session) {
+        const reply = await this.command(session, `EHLO ${this.clientName}`, [250]);
+        return reply.lines.slice(1).map(line => line.toUpperCase());
+    }
+
+    async authenticate(session, capabilities) {
+        const auth = capabilities.find(line => line.startsWith('AUTH')) || '';
+
+        if (auth.includes('PLAIN')) {
+            const token = Buffer.from(`\u0000${this.user}\u0000${this.pass}`).toString('base64');
+            await this.command(session, `AUTH PLAIN ${token}`, [235]);
+        } else if (auth.includes('LOGIN')) {
+            await this.command(session, 'AUTH LOGIN', [334]);
+            await this.command(session, Buffer.from(this.user).toString('base64'), [334]);
+            await this.command(session, Buffer.from(this.pass).toString('base64'), [235]);
+        } else {
+            throw new ProviderError(`${this.name}: server does not offer AUTH PLAIN or LOGIN`, {
+                provider: this.name,
+                permanent: true
+            });
+        }
+    }
+
+    async deliver(session, message) {
+        const { messageId, raw } = buildMessage(message);
+
+        await this.command(session, null, [220]);
+        let capabilities = await this.hello(session);
+
+        let encrypted = this.secure;
+        if (!encrypted && this.startTls && capabilities.includes('STARTTLS')) {
+            await this.command(session, 'STARTTLS', [220]);
+            session.reader.detach();
+            session.socket = await this.upgrade(session.socket);
+            session.watch(session.socket);
+            session.reader = new ReplyReader(session.socket);
+            capabilities = await this.hello(session);
+            encrypted = true;
+        }
+
+        if (this.user && !encrypted && !this.allowInsecureAuth) {
+            throw new ProviderError(`${this.name}: refusing to send credentials over an unencrypted connection ` +
+                '(the server does not offer STARTTLS; set SMTP_ALLOW_INSECURE_AUTH=true to allow it)', {
+                provider: this.name,
+                permanent: true
+            });
+        }
+
+        if (this.user) {
+            await this.authenticate(session, capabilities);
+        }
+
+        await this.command(session, `MAIL FROM:<${message.from.email}>`, [250]);
+        await this.command(session, `RCPT TO:<${message.to.email}>`, [250, 251]);
+        await this.command(session, 'DATA', [354]);
+
+        // Dot-stuff lines that start with "." so they aren't read as the terminator
+        const body = raw.replace(/^\./gm, '..');
+        await this.command(session, `${body}.`, [250]);
+
+        // The message is accepted at this point, so don't wait on the QUIT reply
+        session.socket.end('QUIT\r\n');
+
+        return { messageId };
+    }
+
+    async send(message) {
+        let socket;
+        try {
+            socket = await this.connect();
+        } catch (error) {
+            throw ProviderError.fromNetworkError(this.name, error);
+        }
+
+        // Any socket error, timeout or early hang-up aborts the conversation
+        let abort;
+        const aborted = new Promise((resolve, reject) => {
+            abort = reject;
+        });
+        const watch = target => {
+            target.setTimeout(this.timeout, () => abort(new Error(`timed out after ${this.timeout}ms`)));
+            target.on('error', abort);
+            target.on('close', () => abort(new Error('connection closed unexpectedly')));
+        };
+
+        const session = { socket, reader: new ReplyReader(socket), watch };
+        watch(socket);
+
+        try {
+            return await Promise.race([this.deliver(session, message), aborted]);
+        } catch (error) {
+            throw error instanceof ProviderError ? error : ProviderError.fromNetworkError(this.name, error);
+        } finally {
+            session.socket.destroy();
+            socket.destroy();
+        }
+    }
+}
+
+module.exports = SmtpProvider;
@@ -0,0 +1,374 @@
+/**
+ * Email sequence loader
+ *
+ * A sequence is a directory of Markdown files, one per email, each starting
+ * with front matter:
+ *
+ *   ---
+ *   id: 2                  # position in the sequence, unique (A/B variants share it)
+ *   delay: 24h             # after signup: 0, 90m, 24h, 3d
+ *   send: day 1 at 09:00   # or instead of delay: day N after signup, local time
+ *   subject: "The day I threw away 3 journals (and immediately regretted it)"
+ *   template: story-social-proof   # unique template name
+ *   title: The day I threw away 3 journals   # optional <title>, defaults to subject
+ *   if: opened(previous)   # optional, see lib/conditions.js
+ *   variant: a             # optional, names this version in an A/B test
+ *   weight: 1              # optional share of subscribers for this variant
+ *   ---
+ *
+ * The Markdown body is rendered once into both the HTML and the plain-text
+ * version and wrapped in the shared layout (footer with unsubscribe link).
+ * Subject, HTML and text are then compiled with the template engine
+ * ({{firstName | "friend"}}, {{#if ...}}, {{#each ...}}, {{#segment ...}}),
+ * so each loaded template is { subject, html, text } render functions taking
+ * the variables and the segment context.
+ * Standalone emails such as the confirmation email use the same format
+ * without `id` and `delay`.
+ *
+ * `send` times are in the subscriber's timezone, counting calendar days from
+ * the day they signed up ("day 0"). The first email of a sequence always
+ * goes out right away. A step with an `if` condition is skipped when the
+ * condition is false at the time it comes due.
+ *
+ * To A/B test an email, add a file with the same `id`, a `variant` name and
+ * its own `subject`, `template` and body, but no `delay`/`send`/`if` - those
+ * come from the original file, whose variant is called "a" unless it says
+ * otherwise. Leave the body empty to test only the subject line. Steps
+ * under test list their versions in `step.variants` (see lib/experiments.js).
+ * To try a second subject line for email 2, 02-story-social-proof.b.md:
+ *
+ *   ---
+ *   id: 2
+ *   variant: b
+ *   subject: A different subject line
+ *   template: story-social-proof-b
+ *   ---
+ *
+ * Every subdirectory of sequences/ is a named sequence (one funnel per lead
+ * magnet). An optional sequence.md in the directory holds its settings:
+ *
+ *   ---
+ *   description: 50 Transition Journal Prompts lead magnet
+ *   sources: landing-page, journal-prompts   # signup sources routed here
+ *   quietHours: 21:00-08:00   # follow-ups due then wait until 08:00 local
+ *   skipWeekends: true        # follow-ups due on a weekend wait until Monday
+ *   ---
+ *
+ * Without these settings, QUIET_HOURS and SKIP_WEEKENDS apply.
+ *
+ * Everything is validated up front, so a typo in a front matter field stops
+ * the server at startup instead of failing when that email comes due.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('./front-matter');
+const { escapeText, renderHtml, renderText } = require('./markdown');
+const { compileCondition } = require('./conditions');
+const { compileTemplate } = require('./template-engine');
+const { parseClockTime, parseQuietHours } = require('./timezone');
+
+const SETTINGS_FILE = 'sequence.md';
+const DELAY_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+class SequenceValidationError extends Error {
+    constructor(directory, problems) {
+        super(`Invalid email files in ${directory}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'SequenceValidationError';
+        this.problems = problems;
+    }
+}
+
+// "0", "90m", "24h", "3d" -> milliseconds (null when malformed)
+function parseDelay(value) {
+    if (value === 0 || value === '0') return 0;
+
+    const match = String(value).match(/^(\d+)\s*([mhd])$/);
+    return match ? Number(match[1]) * DELAY_UNITS[match[2]] : null;
+}
+
+function wrapHtml(title, content) {
+    return `
+<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeText(title)}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+    ${content}
+
+    <hr style="margin: 30px 0;">
+    <p style="font-size: 12px; color: #666;">
+        Spoon Seller LLC | <a href="mailto:support@spoonseller.com">support@spoonseller.com</a><br>
+        <a href="{{unsubscribeUrl}}" style="color: #666; font-size: 10px;">Unsubscribe</a>
+    </p>
+</body>
+</html>`;
+}
+
+function wrapText(content) {
+    return `${content}
+
+---
+Spoon Seller LLC | support@spoonseller.com
+Unsubscribe: {{unsubscribeUrl}}`;
+}
+
+function readEmailFiles(directory) {
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.md'))
+        .sort()
+        .map(file => {
+            const source = fs.readFileSync(path.join(directory, file), 'utf8');
+            return { file, ...parseFrontMatter(source) };
+        });
+}
+
+// "day 2 at 09:00" -> { day, hour, minute } (null when malformed)
+function parseSendTime(value) {
+    const match = String(value).trim().match(/^day\s+(\d+)\s+at\s+(\d{1,2}:\d{2})$/i);
+    const minutes = match && parseClockTime(match[2]);
+    if (minutes === null) return null;
+
+    return { day: Number(match[1]), hour: Math.floor(minutes / 60), minute: minutes % 60 };
+}
+
+function parseWeight({ file, attributes }, problems) {
+    if (attributes.weight === undefined) return 1;
+    if (typeof attributes.weight !== 'number' || !(attributes.weight > 0)) {
+        problems.push(`${file}: "weight" must be a positive number`);
+    }
+    return attributes.weight;
+}
+
+// Compile a step's `if` condition, recording syntax errors as problems
+function buildCondition({ file, attributes }, problems) {
+    if (attributes.if === undefined) return null;
+
+    try {
+        return compileCondition(attributes.if);
+    } catch (error) {
+        problems.push(`${file}: ${error.message}`);
+        return null;
+    }
+}
+
+// Skipped template branches can leave extra blank lines in the text part
+function tidyText(render) {
+    return (variables, context) => render(variables, context).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Compile an email into render functions, recording syntax errors as problems
+function buildTemplate({ file, attributes, body }, problems) {
+    try {
+        return {
+            subject: compileTemplate(attributes.subject),
+            html: compileTemplate(wrapHtml(attributes.title || attributes.subject, renderHtml(body)), { escape: true }),
+            text: tidyText(compileTemplate(wrapText(renderText(body))))
+        };
+    } catch (error) {
+        problems.push(`${file}: ${error.message}`);
+        return null;
+    }
+}
+
+// Load standalone emails (no id/delay), keyed by template name
+function loadTemplates(directory) {
+    const problems = [];
+    const templates = {};
+
+    readEmailFiles(directory).forEach(email => {
+        const { template, subject } = email.attributes;
+        if (!template) problems.push(`${email.file}: missing "template"`);
+        if (!subject) problems.push(`${email.file}: missing "subject"`);
+        if (template && templates[template]) problems.push(`${email.file}: duplicate template "${template}"`);
+
+        if (template && subject) {
+            templates[template] = buildTemplate(email, problems);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new SequenceValidationError(directory, problems);
+    }
+    return templates;
+}
+
+// Load a sequence directory into { steps, templates }, steps ordered by id
+function loadSequence(directory) {
+    const problems = [];
+    const steps = [];
+    const templates = {};
+    const seenIds = new Set();
+    const originals = new Map();
+
+    const emails = readEmailFiles(directory).filter(email => email.file !== SETTINGS_FILE);
+    if (emails.length === 0) {
+        problems.push('no .md files found');
+    }
+
+    // Variant files add a version to a step defined by another file
+    const isExtraVariant = ({ attributes }) =>
+        attributes.variant !== undefined && attributes.delay === undefined && attributes.send === undefined;
+
+    emails.filter(email => !isExtraVariant(email)).forEach(email => {
+        const { id, delay, send, subject, template } = email.attributes;
+        const sendTime = send !== undefined ? parseSendTime(send) : null;
+        // Local send times are ordered by their nominal offset from signup
+        const delayMs = sendTime
+            ? sendTime.day * DELAY_UNITS.d + sendTime.hour * DELAY_UNITS.h + sendTime.minute * DELAY_UNITS.m
+            : parseDelay(delay);
+
+        ['id', 'subject', 'template'].forEach(field => {
+            if (email.attributes[field] === undefined || email.attributes[field] === '') {
+                problems.push(`${email.file}: missing "${field}"`);
+            }
+        });
+        if (delay === undefined && send === undefined) problems.push(`${email.file}: missing "delay" or "send"`);
+        if (delay !== undefined && send !== undefined) problems.push(`${email.file}: use either "delay" or "send", not both`);
+        if (id !== undefined && !Number.isInteger(id)) problems.push(`${email.file}: "id" must be a whole number`);
+        if (delay !== undefined && send === undefined && delayMs === null) problems.push(`${email.file}: invalid delay "${delay}" (use 0, 90m, 24h or 3d)`);
+        if (send !== undefined && !sendTime) problems.push(`${email.file}: invalid send time "${send}" (use "day 2 at 09:00")`);
+        if (seenIds.has(id)) problems.push(`${email.file}: duplicate id ${id}`);
+        if (template && templates[template]) problems.push(`${email.file}: duplicate template "${template}"`);
+        if (!email.body.trim()) problems.push(`${email.file}: empty email body`);
+
+        seenIds.add(id);
+        originals.set(id, email);
+        if (template && subject) {
+            templates[template] = buildTemplate(email, problems);
+        }
+        steps.push({
+            id,
+            delay: delayMs,
+            send: sendTime,
+            condition: buildCondition(email, problems),
+            subject,
+            template,
+            variants: [{ name: String(email.attributes.variant || 'a'), weight: parseWeight(email, problems), subject, template }]
+        });
+    });
+
+    emails.filter(isExtraVariant).forEach(email => {
+        const { id, variant, subject, template } = email.attributes;
+        const step = steps.find(candidate => candidate.id === id);
+        // A variant without a body tests the subject line alone
+        const source = email.body.trim() || !originals.has(id) ? email : { ...email, body: originals.get(id).body };
+
+        ['subject', 'template'].forEach(field => {
+            if (email.attributes[field] === undefined || email.attributes[field] === '') {
+                problems.push(`${email.file}: missing "${field}"`);
+            }
+        });
+        if (!step) problems.push(`${email.file}: variant "${variant}" of unknown email ${id}`);
+        if (email.attributes.if !== undefined) problems.push(`${email.file}: "if" belongs in the original email, not a variant`);
+        if (step && step.variants.some(existing => existing.name === String(variant))) {
+            problems.push(`${email.file}: duplicate variant "${variant}" of email ${id}`);
+        }
+        if (template && templates[template]) problems.push(`${email.file}: duplicate template "${template}"`);
+
+        if (template && subject) {
+            templates[template] = buildTemplate(source, problems);
+        }
+        if (step) {
+            step.variants.push({ name: String(variant), weight: parseWeight(email, problems), subject, template });
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new SequenceValidationError(directory, problems);
+    }
+
+    steps.sort((a, b) => a.id - b.id);
+    // Only steps under test keep their variant list
+    steps.forEach(step => {
+        if (step.variants.length === 1) step.variants = null;
+    });
+    steps.slice(1).forEach((step, index) => {
+        if (step.delay < steps[index].delay) {
+            problems.push(`email ${step.id} is scheduled before email ${steps[index].id} - delays must increase with id`);
+        }
+    });
+
+    // Conditions can only look back at emails that have been sent by then
+    steps.forEach((step, index) => {
+        if (!step.condition) return;
+
+        step.condition.targets.forEach(target => {
+            if (target === 'previous' && index === 0) {
+                problems.push(`email ${step.id}: "previous" in the first email's condition`);
+            }
+            if (typeof target === 'number' && !steps.slice(0, index).some(earlier => earlier.id === target)) {
+                problems.push(`email ${step.id}: condition refers to email ${target}, which isn't an earlier step`);
+            }
+        });
+    });
+
+    if (problems.length > 0) {
+        throw new SequenceValidationError(directory, problems);
+    }
+    return { steps, templates };
+}
+
+function readSettings(directory) {
+    const settingsPath = path.join(directory, SETTINGS_FILE);
+    if (!fs.existsSync(settingsPath)) return {};
+
+    return parseFrontMatter(fs.readFileSync(settingsPath, 'utf8')).attributes;
+}
+
+// Load every sequence under the root directory, keyed by directory name.
+// Names arrive from signup forms, so the map has no prototype for
+// "constructor" or "__proto__" to be found on
+function loadSequences(rootDirectory) {
+    const sequences = Object.create(null);
+    const problems = [];
+
+    fs.readdirSync(rootDirectory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => {
+            const directory = path.join(rootDirectory, entry.name);
+            const settings = readSettings(directory);
+            const quietHours = settings.quietHours !== undefined ? parseQuietHours(settings.quietHours) : undefined;
+
+            if (quietHours === null) {
+                problems.push(`${entry.name}: invalid quietHours "${settings.quietHours}" (use 21:00-08:00)`);
+            }
+            if (settings.skipWeekends !== undefined && typeof settings.skipWeekends !== 'boolean') {
+                problems.push(`${entry.name}: skipWeekends must be true or false`);
+            }
+
+            sequences[entry.name] = {
+                name: entry.name,
+                description: settings.description || '',
+                sources: String(settings.sources || '').split(',').map(source => source.trim()).filter(Boolean),
+                // undefined means "use the server-wide default"
+                quietHours,
+                skipWeekends: settings.skipWeekends,
+                ...loadSequence(directory)
+            };
+        });
+
+    const sourceOwners = {};
+    Object.values(sequences).forEach(sequence => sequence.sources.forEach(source => {
+        if (sourceOwners[source]) {
+            problems.push(`source "${source}" is listed by both ${sourceOwners[source]} and ${sequence.name}`);
+        }
+        sourceOwners[source] = sequence.name;
+    }));
+    if (Object.keys(sequences).length === 0) {
+        problems.push('no sequence directories found');
+    }
+
+    if (problems.length > 0) {
+        throw new SequenceValidationError(rootDirectory, problems);
+    }
+    return sequences;
+}
+
+module.exports = {
+    loadSequence,
+    loadSequences,
+    loadTemplates,
+    parseDelay,
+    parseSendTime,
+    SequenceValidationError
+};
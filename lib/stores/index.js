@@ -0,0 +1,128 @@
+/**
+ * Storage Adapters
+ *
+ * BookEmailAutomation talks to its storage through a small async interface,
+ * so the backing store can be swapped without touching the automation code:
+ *
+ *   getSubscriber(id)            -> subscriber | null
+ *   findSubscriberByEmail(emailKey) -> subscriber | null (by normalized address)
+ *   listSubscribers({ status })  -> subscriber[]
+ *   saveSubscriber(subscriber)   -> subscriber (insert or replace)
+ *   saveSubscribers(subscribers) -> subscriber[] (the same, in one write)
+ *   deleteSubscriber(id)         -> boolean
+ *   addQueueItems(items)         -> queue item[] (ids and 'pending' status assigned)
+ *   getQueueItem(id)             -> queue item | null
+ *   listQueueItems({ status, subscriberId, broadcastId, dueBefore }) -> queue item[] (oldest first)
+ *   claimQueueItems({ dueBefore, limit, claimedBy, leaseExpiresAt }) -> queue item[]
+ *                                (atomically leases due, unleased pending items)
+ *   claimQueueItem(id, { claimedBy, leaseExpiresAt }) -> queue item | null
+ *   updateQueueItem(id, changes) -> queue item | null
+ *   deleteQueueItems({ subscriberId }) -> number deleted
+ *   addEvent(event)              -> event (id and `at` timestamp assigned)
+ *   listEvents({ type, subscriberId, queueItemId }) -> event[] (oldest first)
+ *   deleteEvents({ subscriberId }) -> number deleted
+ *   addSuppression({ hash, reason, source }) -> suppression
+ *   getSuppression(hash)         -> suppression | null
+ *   listSuppressions()           -> suppression[]
+ *   removeSuppression(hash)      -> boolean
+ *   addBroadcast(broadcast)      -> broadcast (id and createdAt assigned)
+ *   getBroadcast(id)             -> broadcast | null
+ *   listBroadcasts({ status })   -> broadcast[] (newest first)
+ *   updateBroadcast(id, changes, { ifStatus }) -> broadcast | null
+ *                                (null when it's no longer in `ifStatus`)
+ *   incrementCounter(name, amount, { expiresAt }) -> new value
+ *                                (an expiring counter is gone after expiresAt)
+ *   getCounters()                -> { name: value } (unexpired)
+ *   appendLog(entry)             -> entry (id and `at` timestamp assigned; append-only)
+ *   listLog({ type, subscriberId, since, until }) -> entry[] (oldest first)
+ *   anonymizeLog(subscriberId)   -> number of entries unlinked from the subscriber
+ *
+ * Timestamps are stored as ISO strings so every adapter round-trips them
+ * the same way.
+ *
+ * Select an adapter with EMAIL_STORE=json|kv|memory and point the JSON store
+ * somewhere else with EMAIL_STORE_PATH (its activity log with
+ * EVENT_LOG_PATH). The KV store (Redis over HTTPS, see kv-store.js) reads
+ * KV_REST_API_URL and KV_REST_API_TOKEN. Any other backend plugs in through
+ * EMAIL_STORE_MODULE, a module (relative to the working directory) exporting
+ * a function that returns a store implementing the interface above.
+ *
+ * Without EMAIL_STORE the JSON store is used - except on Vercel, where every
+ * function instance has its own throwaway disk, so the subscribe, cron and
+ * admin functions would each see different data and lose it on a cold start.
+ * There the KV store is used when its variables are set (adding Vercel KV or
+ * Upstash Redis to the project sets them). Without them the JSON store falls
+ * back to /tmp with a warning at startup, so the endpoints keep answering
+ * while you connect a database.
+ */
+
+const path = require('path');
+const MemoryStore = require('./memory-store');
+const JsonFileStore = require('./json-file-store');
+const KvStore = require('./kv-store');
+
+const defaultStorePath = path.join(__dirname, '..', '..', 'data', 'email-automation.json');
+
+let warnedEphemeral = false;
+
+function loadStoreModule(modulePath, options) {
+    const factory = require(path.resolve(modulePath));
+    if (typeof factory !== 'function') {
+        throw new Error(`EMAIL_STORE_MODULE ${modulePath} must export a function returning a store`);
+    }
+    return factory(options);
+}
+
+function kvSettings(options) {
+    return {
+        url: options.url || process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+        token: options.token || process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+        prefix: options.prefix || process.env.EMAIL_STORE_KEY_PREFIX || undefined,
+        fetch: options.fetch
+    };
+}
+
+function defaultStoreType(options) {
+    if (!process.env.VERCEL) return 'json';
+    const kv = kvSettings(options);
+    return kv.url && kv.token ? 'kv' : 'json';
+}
+
+function jsonStorePath(options) {
+    const configured = options.path || process.env.EMAIL_STORE_PATH;
+    if (configured || !process.env.VERCEL) return configured || defaultStorePath;
+
+    if (!warnedEphemeral) {
+        warnedEphemeral = true;
+        console.warn('⚠️  No durable store configured - on Vercel, data in /tmp is per instance and lost on cold ' +
+            'starts. Add Vercel KV or Upstash Redis (KV_REST_API_URL, KV_REST_API_TOKEN) or set EMAIL_STORE_MODULE');
+    }
+    return '/tmp/email-automation.json';
+}
+
+function createStore(options = {}) {
+    const storeModule = options.module || process.env.EMAIL_STORE_MODULE;
+    if (storeModule) return loadStoreModule(storeModule, options);
+
+    const type = options.type || process.env.EMAIL_STORE || defaultStoreType(options);
+
+    switch (type) {
+        case 'memory':
+            return new MemoryStore();
+        case 'json':
+            return new JsonFileStore(jsonStorePath(options), {
+                logPath: options.logPath || process.env.EVENT_LOG_PATH
+            });
+        case 'kv':
+            return new KvStore(kvSettings(options));
+        default:
+            throw new Error(`Unknown email store type: ${type}`);
+    }
+}
+
+module.exports = {
+    createStore,
+    MemoryStore,
+    JsonFileStore,
+    KvStore
+};
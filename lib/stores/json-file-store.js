@@ -0,0 +1,183 @@
+/**
+ * JSON File Store
+ *
+ * Persists subscribers, the automation queue, engagement events and the
+ * suppression list to a single JSON file so pending follow-up emails survive
+ * restarts and redeploys. Writes go to a temporary file first and are then
+ * renamed over the original, so a crash mid-write never leaves a
+ * half-written store behind.
+ *
+ * Several processes can share one file: every mutation takes a lock file
+ * (<file>.lock, created with O_EXCL), re-reads the file, applies the change
+ * and writes it back before releasing the lock. Reads pick up other
+ * processes' writes when the file's modification time changes.
+ *
+ * The activity log goes to a separate JSON-lines file next to it
+ * (<name>.log.jsonl, or EVENT_LOG_PATH). Entries are only ever appended,
+ * except when erasing a subscriber's personal data rewrites their entries.
+ */
+
+const { randomUUID } = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory-store');
+
+// A lock older than this belongs to a crashed process and is taken over
+const STALE_LOCK_MS = 30 * 1000;
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class JsonFileStore extends MemoryStore {
+    constructor(filePath, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.logPath = options.logPath || filePath.replace(/(\.json)?$/, '.log.jsonl');
+        this.loadedVersion = null;
+        this.writing = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data = { subscribers: {}, queue: {}, events: {}, suppressions: {}, broadcasts: {}, counters: {}, counterExpiry: {}, ...contents };
+        this.loadedVersion = this.fileVersion();
+    }
+
+    fileVersion() {
+        try {
+            const stats = fs.statSync(this.filePath);
+            return `${stats.mtimeMs}:${stats.size}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Reload when another process has written the file since we last saw it
+    refresh() {
+        const version = this.fileVersion();
+        if (version && version !== this.loadedVersion) {
+            this.load();
+        }
+    }
+
+    read() {
+        this.refresh();
+        return this.data;
+    }
+
+    // Mutations are chained within this process and hold the lock file
+    // across processes, so two writers can't interleave or lose updates
+    async mutate(change) {
+        const run = this.writing.then(() => this.withLock(async () => {
+            this.refresh();
+            try {
+                const result = change(this.data);
+                await this.persist();
+                return result;
+            } catch (error) {
+                // Drop whatever the failed change left in memory on the next read
+                this.loadedVersion = null;
+                throw error;
+            }
+        }));
+
+        this.writing = run.catch(() => {});
+        return run;
+    }
+
+    // Appends hold the lock too, so an erasure rewriting the log can't drop them
+    async appendLog(entry) {
+        const record = { id: randomUUID(), at: new Date().toISOString(), ...entry };
+        await fs.promises.mkdir(path.dirname(this.logPath), { recursive: true });
+        await this.withLock(() => fs.promises.appendFile(this.logPath, `${JSON.stringify(record)}\n`));
+        return record;
+    }
+
+    async listLog(filter = {}) {
+        return this.filterLog(await this.readLog(), filter);
+    }
+
+    async anonymizeLog(subscriberId) {
+        return this.withLock(async () => {
+            const { entries, count } = this.anonymizeEntries(await this.readLog(), subscriberId);
+            if (count > 0) {
+                const tempPath = `${this.logPath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+                await fs.promises.rename(tempPath, this.logPath);
+            }
+            return count;
+        });
+    }
+
+    async readLog() {
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.logPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return contents.split('\n')
+            .filter(Boolean)
+            .map(line => {
+                // A line still being appended by another process is skipped
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    async persist() {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+        await fs.promises.rename(tempPath, this.filePath);
+        this.loadedVersion = this.fileVersion();
+    }
+
+    async withLock(action) {
+        await this.acquireLock();
+        try {
+            return await action();
+        } finally {
+            await fs.promises.unlink(this.lockPath).catch(() => {});
+        }
+    }
+
+    async acquireLock() {
+        await fs.promises.mkdir(path.dirname(this.lockPath), { recursive: true });
+        const giveUpAt = Date.now() + LOCK_TIMEOUT_MS;
+
+        for (;;) {
+            try {
+                const handle = await fs.promises.open(this.lockPath, 'wx');
+                await handle.writeFile(`${process.pid}\n`);
+                await handle.close();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const stats = await fs.promises.stat(this.lockPath).catch(() => null);
+            if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+                await fs.promises.unlink(this.lockPath).catch(() => {});
+                continue;
+            }
+            if (Date.now() > giveUpAt) {
+                throw new Error(`Timed out waiting for store lock ${this.lockPath}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,138 @@
+/**
+ * Redis (KV) Store
+ *
+ * Persists the same data as the JSON file store in Redis, over the Upstash
+ * REST API that Vercel KV and Upstash Redis both speak - plain HTTPS, so it
+ * works from serverless functions that keep nothing between requests. Every
+ * function instance reads and writes the one database, so signups, the cron
+ * queue drain and the admin API all see the same subscribers.
+ *
+ *   KV_REST_API_URL / KV_REST_API_TOKEN         (set by Vercel's KV integration)
+ *   UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN   (the same, from Upstash)
+ *   EMAIL_STORE_KEY_PREFIX                      key prefix (default email-automation)
+ *
+ * The data is one JSON document under <prefix>:data. Mutations take a lock
+ * key (SET NX with an expiry), re-read the document, apply the change and
+ * write it back, like the file store's lock file. Keeping it in one document
+ * suits lists of a few thousand subscribers - a Redis value tops out at the
+ * provider's request size limit (1 MB on Upstash's free tier).
+ *
+ * The activity log is a Redis list (<prefix>:log) that entries are pushed
+ * onto. Erasure rewrites a subscriber's entries in place, by index.
+ */
+
+const { randomUUID } = require('crypto');
+const MemoryStore = require('./memory-store');
+
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class KvStore extends MemoryStore {
+    constructor({ url, token, prefix = 'email-automation', fetch = globalThis.fetch } = {}) {
+        super();
+        if (!url || !token) {
+            throw new Error('The KV store needs KV_REST_API_URL and KV_REST_API_TOKEN ' +
+                '(or UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN)');
+        }
+        this.url = url.replace(/\/$/, '');
+        this.token = token;
+        this.fetch = fetch;
+        this.dataKey = `${prefix}:data`;
+        this.logKey = `${prefix}:log`;
+        this.lockKey = `${prefix}:lock`;
+    }
+
+    // One Redis command, e.g. command('SET', key, value, 'NX')
+    async command(...args) {
+        const response = await this.fetch(this.url, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${this.token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.error) {
+            throw new Error(`KV ${args[0]} failed: ${body.error || `HTTP ${response.status}`}`);
+        }
+        return body.result;
+    }
+
+    async load() {
+        const contents = await this.command('GET', this.dataKey);
+        this.data = {
+            subscribers: {},
+            queue: {},
+            events: {},
+            suppressions: {},
+            broadcasts: {},
+            counters: {},
+            counterExpiry: {},
+            ...(contents ? JSON.parse(contents) : {})
+        };
+        return this.data;
+    }
+
+    async read() {
+        return this.load();
+    }
+
+    async mutate(change) {
+        return this.withLock(async () => {
+            const data = await this.load();
+            const result = change(data);
+            await this.command('SET', this.dataKey, JSON.stringify(data));
+            return result;
+        });
+    }
+
+    // Entries are only pushed onto the end, so no lock is needed
+    async appendLog(entry) {
+        const record = { id: randomUUID(), at: new Date().toISOString(), ...entry };
+        await this.command('RPUSH', this.logKey, JSON.stringify(record));
+        return record;
+    }
+
+    async listLog(filter = {}) {
+        return this.filterLog(await this.readLog(), filter);
+    }
+
+    // Appends only ever add to the end, so rewriting entries by index can't
+    // clobber one pushed meanwhile
+    async anonymizeLog(subscriberId) {
+        const entries = await this.readLog();
+        const { entries: anonymized, count } = this.anonymizeEntries(entries, subscriberId);
+        for (const [index, entry] of anonymized.entries()) {
+            if (entry !== entries[index]) {
+                await this.command('LSET', this.logKey, index, JSON.stringify(entry));
+            }
+        }
+        return count;
+    }
+
+    async readLog() {
+        const lines = await this.command('LRANGE', this.logKey, 0, -1);
+        return (lines || []).map(line => JSON.parse(line));
+    }
+
+    async withLock(action) {
+        const owner = randomUUID();
+        const giveUpAt = Date.now() + LOCK_TIMEOUT_MS;
+        while (await this.command('SET', this.lockKey, owner, 'NX', 'PX', LOCK_TTL_MS) !== 'OK') {
+            if (Date.now() > giveUpAt) throw new Error(`Timed out waiting for the KV store lock (${this.lockKey})`);
+            await sleep(LOCK_RETRY_MS);
+        }
+
+        try {
+            return await action();
+        } finally {
+            // Only release our own lock - after LOCK_TTL_MS it may be someone else's
+            if (await this.command('GET', this.lockKey) === owner) {
+                await this.command('DEL', this.lockKey);
+            }
+        }
+    }
+}
+
+module.exports = KvStore;
@@ -0,0 +1,324 @@
+/**
+ * In-Memory Store
+ *
+ * Keeps subscribers, queued emails, engagement events, the suppression
+ * list, broadcasts and the activity log in plain objects. Useful for tests
+ * and one-off scripts; everything is lost when the process exits. The JSON
+ * file store extends this class and persists the same data to disk.
+ */
+
+const { randomUUID } = require('crypto');
+const { redactAddresses } = require('../suppression');
+
+// Records are copied in and out so callers never hold a live reference
+// (the same behaviour a real database gives you)
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function matchesLogFilter(entry, { type, subscriberId, since, until }) {
+    return (!type || entry.type === type) &&
+        (!subscriberId || entry.subscriberId === subscriberId) &&
+        (!since || new Date(entry.at) >= new Date(since)) &&
+        (!until || new Date(entry.at) < new Date(until));
+}
+
+// Delete the records in a collection that match; resolves to how many went
+function removeWhere(collection, predicate) {
+    const ids = Object.keys(collection).filter(id => predicate(collection[id]));
+    ids.forEach(id => delete collection[id]);
+    return ids.length;
+}
+
+function matchesStatus(record, status) {
+    if (status === undefined) return true;
+    return Array.isArray(status) ? status.includes(record.status) : record.status === status;
+}
+
+function isExpired(expiresAt) {
+    return Boolean(expiresAt) && new Date(expiresAt) <= new Date();
+}
+
+function removeExpiredCounters(data) {
+    Object.entries(data.counterExpiry).forEach(([name, expiresAt]) => {
+        if (!isExpired(expiresAt)) return;
+        delete data.counters[name];
+        delete data.counterExpiry[name];
+    });
+}
+
+// Pending and not leased to another worker (or that lease has run out)
+function isClaimable(item, claimedBy) {
+    if (item.status !== 'pending') return false;
+    if (!item.leaseExpiresAt || item.claimedBy === claimedBy) return true;
+    return new Date(item.leaseExpiresAt) <= new Date();
+}
+
+class MemoryStore {
+    constructor() {
+        this.data = { subscribers: {}, queue: {}, events: {}, suppressions: {}, broadcasts: {}, counters: {}, counterExpiry: {} };
+        this.log = [];
+    }
+
+    // Subscribers
+
+    async getSubscriber(id) {
+        return clone((await this.read()).subscribers[id]) || null;
+    }
+
+    async findSubscriberByEmail(emailKey) {
+        const subscriber = Object.values((await this.read()).subscribers).find(s => s.emailKey === emailKey);
+        return clone(subscriber) || null;
+    }
+
+    async listSubscribers(filter = {}) {
+        return Object.values((await this.read()).subscribers)
+            .filter(subscriber => matchesStatus(subscriber, filter.status))
+            .map(clone);
+    }
+
+    async saveSubscriber(subscriber) {
+        return this.mutate(data => {
+            data.subscribers[subscriber.id] = clone(subscriber);
+            return clone(subscriber);
+        });
+    }
+
+    // Several at once, e.g. an import - one write instead of one per subscriber
+    async saveSubscribers(subscribers) {
+        return this.mutate(data => subscribers.map(subscriber => {
+            data.subscribers[subscriber.id] = clone(subscriber);
+            return clone(subscriber);
+        }));
+    }
+
+    async deleteSubscriber(id) {
+        return this.mutate(data => {
+            const existed = Boolean(data.subscribers[id]);
+            delete data.subscribers[id];
+            return existed;
+        });
+    }
+
+    // Automation queue
+
+    async addQueueItems(items) {
+        return this.mutate(data => items.map(item => {
+            const record = { id: randomUUID(), status: 'pending', ...clone(item) };
+            data.queue[record.id] = record;
+            return clone(record);
+        }));
+    }
+
+    async getQueueItem(id) {
+        return clone((await this.read()).queue[id]) || null;
+    }
+
+    async listQueueItems(filter = {}) {
+        const dueBefore = filter.dueBefore ? new Date(filter.dueBefore).getTime() : null;
+
+        return Object.values((await this.read()).queue)
+            .filter(item => matchesStatus(item, filter.status))
+            .filter(item => !filter.subscriberId || item.subscriberId === filter.subscriberId)
+            .filter(item => !filter.broadcastId || item.broadcastId === filter.broadcastId)
+            .filter(item => dueBefore === null || new Date(item.scheduledFor).getTime() <= dueBefore)
+            .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor))
+            .map(clone);
+    }
+
+    // Lease due items to one worker so no other worker sends them. Items
+    // leased to someone else are skipped until their lease expires
+    async claimQueueItems({ dueBefore, limit = 100, claimedBy, leaseExpiresAt }) {
+        return this.mutate(data => Object.values(data.queue)
+            .filter(item => isClaimable(item) && new Date(item.scheduledFor) <= new Date(dueBefore))
+            .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor))
+            .slice(0, limit)
+            .map(item => {
+                Object.assign(item, { claimedBy, leaseExpiresAt });
+                return clone(item);
+            }));
+    }
+
+    // Lease a single item regardless of when it's due (null if it isn't claimable)
+    async claimQueueItem(id, { claimedBy, leaseExpiresAt }) {
+        return this.mutate(data => {
+            const item = data.queue[id];
+            if (!item || !isClaimable(item, claimedBy)) return null;
+            Object.assign(item, { claimedBy, leaseExpiresAt });
+            return clone(item);
+        });
+    }
+
+    async updateQueueItem(id, changes) {
+        return this.mutate(data => {
+            if (!data.queue[id]) return null;
+            data.queue[id] = { ...data.queue[id], ...clone(changes) };
+            return clone(data.queue[id]);
+        });
+    }
+
+    async deleteQueueItems({ subscriberId }) {
+        return this.mutate(data => removeWhere(data.queue, item => item.subscriberId === subscriberId));
+    }
+
+    // Engagement events (opens, clicks)
+
+    async addEvent(event) {
+        return this.mutate(data => {
+            const record = { id: randomUUID(), at: new Date().toISOString(), ...clone(event) };
+            data.events[record.id] = record;
+            return clone(record);
+        });
+    }
+
+    async deleteEvents({ subscriberId }) {
+        return this.mutate(data => removeWhere(data.events, event => event.subscriberId === subscriberId));
+    }
+
+    async listEvents(filter = {}) {
+        return Object.values((await this.read()).events)
+            .filter(event => !filter.type || event.type === filter.type)
+            .filter(event => !filter.subscriberId || event.subscriberId === filter.subscriberId)
+            .filter(event => !filter.queueItemId || event.queueItemId === filter.queueItemId)
+            .sort((a, b) => new Date(a.at) - new Date(b.at))
+            .map(clone);
+    }
+
+    // Suppression list, keyed by address hash
+
+    async addSuppression(suppression) {
+        return this.mutate(data => {
+            const record = { suppressedAt: new Date().toISOString(), ...clone(suppression) };
+            data.suppressions[record.hash] = record;
+            return clone(record);
+        });
+    }
+
+    async getSuppression(hash) {
+        return clone((await this.read()).suppressions[hash]) || null;
+    }
+
+    async listSuppressions() {
+        return Object.values((await this.read()).suppressions).map(clone);
+    }
+
+    async removeSuppression(hash) {
+        return this.mutate(data => {
+            const existed = Boolean(data.suppressions[hash]);
+            delete data.suppressions[hash];
+            return existed;
+        });
+    }
+
+    // Broadcast campaigns
+
+    async addBroadcast(broadcast) {
+        return this.mutate(data => {
+            const record = { id: randomUUID(), createdAt: new Date().toISOString(), ...clone(broadcast) };
+            data.broadcasts[record.id] = record;
+            return clone(record);
+        });
+    }
+
+    async getBroadcast(id) {
+        return clone((await this.read()).broadcasts[id]) || null;
+    }
+
+    async listBroadcasts(filter = {}) {
+        return Object.values((await this.read()).broadcasts)
+            .filter(broadcast => matchesStatus(broadcast, filter.status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(clone);
+    }
+
+    // With `ifStatus`, only applies the changes while the broadcast is still
+    // in that status (null otherwise), so two workers can't both start it
+    async updateBroadcast(id, changes, { ifStatus } = {}) {
+        return this.mutate(data => {
+            const broadcast = data.broadcasts[id];
+            if (!broadcast || !matchesStatus(broadcast, ifStatus)) return null;
+            data.broadcasts[id] = { ...broadcast, ...clone(changes) };
+            return clone(data.broadcasts[id]);
+        });
+    }
+
+    // Named counters (rejected signups, rate limit windows, ...). A counter
+    // given `expiresAt` is dropped once that time has passed
+
+    async incrementCounter(name, amount = 1, { expiresAt } = {}) {
+        return this.mutate(data => {
+            removeExpiredCounters(data);
+            data.counters[name] = (data.counters[name] || 0) + amount;
+            if (expiresAt) data.counterExpiry[name] = new Date(expiresAt).toISOString();
+            return data.counters[name];
+        });
+    }
+
+    async getCounters() {
+        const { counters, counterExpiry } = await this.read();
+        return Object.fromEntries(Object.entries(counters)
+            .filter(([name]) => !isExpired(counterExpiry[name])));
+    }
+
+    // Activity log - append-only, kept apart from the data so writing an
+    // entry never rewrites the rest
+
+    async appendLog(entry) {
+        const record = { id: randomUUID(), at: new Date().toISOString(), ...clone(entry) };
+        this.log.push(record);
+        return clone(record);
+    }
+
+    async listLog(filter = {}) {
+        return this.filterLog(this.log, filter);
+    }
+
+    filterLog(entries, filter) {
+        return entries.filter(entry => matchesLogFilter(entry, filter)).map(clone);
+    }
+
+    // Erasure is the one exception to append-only: a subscriber's entries
+    // lose everything that points back to them
+    async anonymizeLog(subscriberId) {
+        const { entries, count } = this.anonymizeEntries(this.log, subscriberId);
+        this.log = entries;
+        return count;
+    }
+
+    anonymizeEntries(entries, subscriberId) {
+        let count = 0;
+        const anonymized = entries.map(entry => {
+            if (entry.subscriberId !== subscriberId) return entry;
+            count += 1;
+            return {
+                ...entry,
+                subscriberId: null,
+                messageId: null,
+                queueItemId: null,
+                // Bounce reasons and send errors can quote the address
+                ...(entry.reason ? { reason: redactAddresses(entry.reason) } : {}),
+                ...(entry.error ? { error: redactAddresses(entry.error) } : {}),
+                anonymized: true
+            };
+        });
+        return { entries: anonymized, count };
+    }
+
+    // Current data for reads - persistent stores refresh it first (and may
+    // return a promise, for stores that fetch it over the network)
+    read() {
+        return this.data;
+    }
+
+    // Apply a change to the data and persist it
+    async mutate(change) {
+        const result = change(this.data);
+        await this.persist();
+        return result;
+    }
+
+    // Nothing to do in memory - overridden by persistent stores
+    async persist() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,151 @@
+/**
+ * Abuse protection for the subscribe endpoints
+ *
+ * Every signup sends a real email, so without checks the form can be used
+ * to bomb strangers' inboxes. A submission has to pass, in order:
+ *
+ *   origin      - Origin header in ALLOWED_ORIGINS (comma-separated), when set
+ *   honeypot    - the hidden HONEYPOT_FIELD (default "website") left empty
+ *   too-fast    - only when MIN_FORM_FILL_SECONDS is set: at least that
+ *                 long between the form's "formLoadedAt" timestamp (ms) and
+ *                 submission. A submission without a usable timestamp then
+ *                 counts as too fast, so set it only once the form sends one
+ *                 (examples/subscribe-form.html does)
+ *   disposable  - not a throwaway-inbox domain (lib/disposable-domains.js)
+ *   rate-ip     - SUBSCRIBE_LIMIT_PER_IP per 10 minutes (default 5)
+ *   rate-email  - SUBSCRIBE_LIMIT_PER_EMAIL per hour (default 3)
+ *
+ * Bots caught by the honeypot or the timer get a normal-looking success
+ * response so they don't learn what tripped them. Each rejection increments
+ * a `subscribe-rejected:<reason>` counter in the store for /stats, and is
+ * passed to `options.logEvent` (the automation's activity log) as a
+ * `subscribe-rejected` entry with a hash of the IP, not the IP itself.
+ *
+ * Rate limits count hits per fixed window in store counters (keyed by a hash
+ * of the IP or address, expiring with the window), so every instance of a
+ * serverless deployment shares them.
+ */
+
+const crypto = require('crypto');
+const disposableDomains = require('./disposable-domains');
+const { normalizeEmail } = require('./email-address');
+
+const TEN_MINUTES = 10 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+const rejections = {
+    origin: { status: 403, error: 'Submissions from this site are not allowed' },
+    honeypot: { silent: true },
+    'too-fast': { silent: true },
+    disposable: { status: 400, error: 'Please use a permanent email address' },
+    'rate-ip': { status: 429, error: 'Too many signups from this network - please try again later' },
+    'rate-email': { status: 429, error: 'Too many signups for this email address - please check your inbox' }
+};
+
+function listFromEnv(value) {
+    return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// IPs and addresses are only kept hashed
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+// Fixed-window hit counter per key, kept in the store
+class RateLimiter {
+    constructor(store, name, limit, windowMs) {
+        this.store = store;
+        this.name = name;
+        this.limit = limit;
+        this.windowMs = windowMs;
+    }
+
+    // Records a hit; resolves to the seconds until the window resets, or 0 if allowed
+    async hit(key, now = Date.now()) {
+        const window = Math.floor(now / this.windowMs);
+        const resetsAt = (window + 1) * this.windowMs;
+        const count = await this.store.incrementCounter(`rate:${this.name}:${hashKey(key)}:${window}`, 1, {
+            expiresAt: new Date(resetsAt)
+        });
+        return count > this.limit ? Math.ceil((resetsAt - now) / 1000) : 0;
+    }
+}
+
+class SubscribeGuard {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.logEvent = options.logEvent || (async () => null);
+        this.allowedOrigins = options.allowedOrigins || listFromEnv(process.env.ALLOWED_ORIGINS);
+        this.honeypotField = options.honeypotField || process.env.HONEYPOT_FIELD || 'website';
+        this.minFillTime = (options.minFillSeconds !== undefined
+            ? options.minFillSeconds
+            : Number(process.env.MIN_FORM_FILL_SECONDS || 0)) * 1000;
+        this.disposableDomains = new Set([...disposableDomains, ...listFromEnv(process.env.DISPOSABLE_DOMAINS)]);
+        this.ipLimiter = new RateLimiter(store, 'ip',
+            options.limitPerIp || Number(process.env.SUBSCRIBE_LIMIT_PER_IP) || 5, TEN_MINUTES);
+        this.emailLimiter = new RateLimiter(store, 'email',
+            options.limitPerEmail || Number(process.env.SUBSCRIBE_LIMIT_PER_EMAIL) || 3, ONE_HOUR);
+    }
+
+    isAllowedOrigin(origin) {
+        return this.allowedOrigins.length === 0 || this.allowedOrigins.includes(String(origin || '').toLowerCase());
+    }
+
+    isDisposable(email) {
+        const domain = normalizeEmail(email).split('@').pop();
+        const parts = domain.split('.');
+        return parts.some((part, index) => this.disposableDomains.has(parts.slice(index).join('.')));
+    }
+
+    // Once the timer is on, leaving formLoadedAt out (or sending garbage) mustn't skip it
+    isTooFast(formLoadedAt) {
+        if (this.minFillTime <= 0) return false;
+        const loadedAt = Number(formLoadedAt);
+        return !Number.isFinite(loadedAt) || loadedAt <= 0 || Date.now() - loadedAt < this.minFillTime;
+    }
+
+    // Which check a submission fails, if any: { reason, retryAfter } or null
+    async findProblem({ ip, origin, body }) {
+        if (!this.isAllowedOrigin(origin)) return { reason: 'origin' };
+        if (body[this.honeypotField]) return { reason: 'honeypot' };
+        if (this.isTooFast(body.formLoadedAt)) return { reason: 'too-fast' };
+        if (this.isDisposable(body.email)) return { reason: 'disposable' };
+
+        const ipWait = await this.ipLimiter.hit(ip || 'unknown');
+        if (ipWait) return { reason: 'rate-ip', retryAfter: ipWait };
+
+        const emailWait = await this.emailLimiter.hit(normalizeEmail(body.email, { stripPlusTags: true }));
+        if (emailWait) return { reason: 'rate-email', retryAfter: emailWait };
+
+        return null;
+    }
+
+    // Resolves to null when the submission may go ahead, otherwise to
+    // { reason, silent, status, error, retryAfter } describing the response
+    async check(submission) {
+        const problem = await this.findProblem(submission);
+        if (!problem) return null;
+
+        await this.store.incrementCounter(`subscribe-rejected:${problem.reason}`);
+        await this.logEvent('subscribe-rejected', {
+            reason: problem.reason,
+            ipHash: submission.ip ? hashKey(submission.ip) : null
+        });
+        return { ...problem, ...rejections[problem.reason] };
+    }
+}
+
+// Client IP for rate limiting. Forwarded headers are only trusted on Vercel
+// or with TRUST_PROXY=true - anyone can send them otherwise
+function clientIp(req) {
+    const forwarded = req.headers['x-vercel-forwarded-for'] || req.headers['x-forwarded-for'];
+    if (forwarded && (process.env.VERCEL || process.env.TRUST_PROXY === 'true')) {
+        return String(forwarded).split(',')[0].trim();
+    }
+    return req.socket && req.socket.remoteAddress;
+}
+
+module.exports = {
+    SubscribeGuard,
+    clientIp
+};
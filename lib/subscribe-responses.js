@@ -0,0 +1,45 @@
+/**
+ * What the landing page form is told for each subscribe() outcome.
+ * `status` in the JSON response is the outcome itself, so the frontend can
+ * branch on it; `message` and `nextStep` are ready to display.
+ */
+
+const subscribeResponses = {
+    subscribed: {
+        message: 'Successfully subscribed to journal prompts!',
+        nextStep: 'Check your email for your free prompts'
+    },
+    pending: {
+        message: 'Almost there! Please confirm your email address.',
+        nextStep: 'Check your email and click the confirmation link'
+    },
+    'already-subscribed': {
+        message: 'You\'re already subscribed!',
+        nextStep: 'Check your inbox (and spam folder) for your prompts'
+    },
+    restarted: {
+        message: 'Welcome back! Your prompts are on their way again.',
+        nextStep: 'Check your email for your free prompts'
+    },
+    resumed: {
+        message: 'Welcome back! We\'ll pick up where you left off.',
+        nextStep: 'Check your email for your next journaling email'
+    },
+    // Hard-bounced or reported spam before - we can't email this address
+    suppressed: {
+        message: 'We can\'t send email to this address.',
+        nextStep: 'Please try a different email address or contact support@spoonseller.com'
+    }
+};
+
+function buildSubscribeResponse({ subscriberId, sequence, outcome }) {
+    return {
+        success: outcome !== 'suppressed',
+        status: outcome,
+        ...subscribeResponses[outcome],
+        sequence,
+        subscriberId
+    };
+}
+
+module.exports = { buildSubscribeResponse };
@@ -0,0 +1,132 @@
+/**
+ * Column mapping for subscriber CSV import and export
+ *
+ * Import columns are matched to subscriber properties by header name,
+ * ignoring case, spaces and punctuation. The defaults cover Mailchimp
+ * ("Email Address", "First Name", "TAGS", "OPTIN_TIME", "TIMEZONE"),
+ * Formspree ("email", "name", "_date") and this app's own export, so an
+ * exported file imports back. Other columns are ignored unless
+ * mapped explicitly ("fields.transition=Life transition"):
+ *
+ *   email          required
+ *   firstName
+ *   status         active/subscribed (default), paused, unsubscribed,
+ *                  bounced/cleaned, complained, cancelled, expired; pending
+ *                  (never confirmed) imports as expired
+ *   subscribedAt   signup date
+ *   timezone       IANA name
+ *   tags           comma-separated
+ *   ip             signup IP, kept with the consent record
+ *   fields.<name>  custom field
+ */
+
+const { stripFormulaGuard } = require('./csv');
+
+// The same check the signup form gets
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TARGETS = ['email', 'firstName', 'status', 'subscribedAt', 'timezone', 'tags', 'ip'];
+
+const ALIASES = {
+    email: ['email', 'emailaddress', 'e-mail'],
+    firstName: ['firstname', 'fname', 'name'],
+    status: ['status'],
+    subscribedAt: ['subscribedat', 'optintime', 'confirmtime', 'date', 'created', 'createdat', 'timestamp'],
+    timezone: ['timezone'],
+    tags: ['tags'],
+    ip: ['ip', 'optinip', 'confirmip']
+};
+
+// Import status -> subscriber status (missing: unknown value). Covers every
+// status an export can contain. A pending signup's confirmation link came
+// from the old list and can't be confirmed here, so it arrives expired
+const STATUSES = {
+    '': 'active',
+    active: 'active',
+    subscribed: 'active',
+    confirmed: 'active',
+    paused: 'paused',
+    unsubscribed: 'unsubscribed',
+    cancelled: 'cancelled',
+    pending: 'expired',
+    expired: 'expired',
+    bounced: 'bounced',
+    cleaned: 'bounced',
+    complained: 'complained'
+};
+
+const normalizeHeader = header => header.toLowerCase().replace(/[^a-z0-9.@-]/g, '');
+
+class CsvMappingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CsvMappingError';
+    }
+}
+
+// "fields.transition=Life transition" entries (or { target: header }) ->
+// { target: header }
+function parseMapping(mapping = []) {
+    if (!Array.isArray(mapping)) return { ...mapping };
+
+    const parsed = {};
+    mapping.forEach(entry => {
+        const separator = entry.indexOf('=');
+        if (separator === -1) throw new CsvMappingError(`Column mapping "${entry}" should look like target=Header`);
+        parsed[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    });
+    return parsed;
+}
+
+// The header row and explicit mappings -> { target: column index }.
+// fields.<name> headers (as exported) map to custom fields by default
+function resolveColumns(headers, mapping = {}) {
+    const normalized = headers.map(normalizeHeader);
+    const columns = {};
+
+    Object.entries(mapping).forEach(([target, header]) => {
+        if (!TARGETS.includes(target) && !/^fields\.[a-z_]\w*$/i.test(target)) {
+            throw new CsvMappingError(`Unknown import target "${target}" (use ${TARGETS.join(', ')} or fields.<name>)`);
+        }
+        const index = normalized.indexOf(normalizeHeader(header));
+        if (index === -1) throw new CsvMappingError(`No column "${header}" for ${target}`);
+        columns[target] = index;
+    });
+
+    TARGETS.filter(target => columns[target] === undefined).forEach(target => {
+        const index = normalized.findIndex(header => ALIASES[target].includes(header));
+        if (index !== -1) columns[target] = index;
+    });
+    headers.forEach((header, index) => {
+        const field = header.trim().match(/^fields\.([a-z_]\w*)$/i);
+        if (field && columns[`fields.${field[1]}`] === undefined) columns[`fields.${field[1]}`] = index;
+    });
+
+    if (columns.email === undefined) {
+        throw new CsvMappingError(`No email column - map one with email=<header> (columns: ${headers.join(', ')})`);
+    }
+    return columns;
+}
+
+// One data row -> { email, firstName, status, ..., fields: {} } using the columns
+function readRow(values, columns) {
+    const row = { fields: {} };
+    Object.entries(columns).forEach(([target, index]) => {
+        const value = stripFormulaGuard((values[index] || '').trim());
+        if (target.startsWith('fields.')) {
+            if (value) row.fields[target.slice('fields.'.length)] = value;
+        } else {
+            row[target] = value;
+        }
+    });
+    return row;
+}
+
+module.exports = {
+    CsvMappingError,
+    EMAIL_PATTERN,
+    STATUSES,
+    parseMapping,
+    readRow,
+    resolveColumns
+};
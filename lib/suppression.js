@@ -0,0 +1,43 @@
+/**
+ * Global suppression list helpers
+ *
+ * Addresses that hard-bounced or reported spam must never be emailed
+ * again, whichever sequence or form they come back through. The list is
+ * keyed by a SHA-256 hash of the normalized address, so it keeps working
+ * for subscribers whose records (and plain addresses) have been deleted.
+ */
+
+const crypto = require('crypto');
+const { normalizeEmail } = require('./email-address');
+
+function suppressionKey(email) {
+    return crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+}
+
+// Anything that looks like an address, in free text such as a bounce reason
+const ADDRESS = /[^\s<>()[\]@,;:"']+@[^\s<>()[\]@,;:"']+\.[a-z]{2,}/gi;
+
+// Provider bounce reasons and SMTP errors often quote the recipient
+// ("550 5.1.1 <ann@example.com>: Recipient address rejected"). Before
+// they're stored, each address is swapped for the start of its hash, which
+// still tells addresses apart without revealing them
+function redactAddresses(text) {
+    if (typeof text !== 'string') return text;
+    return text.replace(ADDRESS, address => `[address ${suppressionKey(address).slice(0, 12)}]`);
+}
+
+// Thrown by sendEmail for a suppressed address. Never worth retrying
+class SuppressedAddressError extends Error {
+    constructor(reason) {
+        super(`Address is suppressed (${reason})`);
+        this.name = 'SuppressedAddressError';
+        this.permanent = true;
+        this.reason = reason;
+    }
+}
+
+module.exports = {
+    redactAddresses,
+    suppressionKey,
+    SuppressedAddressError
+};
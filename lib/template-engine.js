@@ -0,0 +1,201 @@
+/**
+ * Template engine for email subjects and bodies
+ *
+ * A small Handlebars-like syntax, compiled once when the emails are loaded:
+ *
+ *   {{firstName}}                  - variable (dotted paths: {{fields.city}})
+ *   {{firstName | "friend"}}       - fallback when the value is missing or empty
+ *   {{{rawHtml}}}                  - inserted without HTML escaping
+ *   {{#if fields.city}}...{{else}}...{{/if}}
+ *   {{#unless confirmedAt}}...{{/unless}}
+ *   {{#each tags}}{{this}} ({{@index}}){{else}}no tags{{/each}}
+ *   {{#segment fields.transition = career}}...{{else}}...{{/segment}}
+ *
+ * #segment takes a segment expression (lib/conditions.js) and is checked
+ * against the segment context passed to render(variables, { segment }) -
+ * without one, the {{else}} branch is rendered. In email bodies, put it on
+ * a line of its own so the Markdown renderer leaves the expression alone.
+ *
+ * Inside #each, names are looked up on the current item first and then on
+ * the outer variables. Values are HTML-escaped when the template is
+ * compiled with { escape: true } (the HTML part); subjects and the plain
+ * text part are left as they are.
+ */
+
+const { compileSegment, ConditionSyntaxError } = require('./conditions');
+const { escapeHtml } = require('./pages');
+
+const TAG = /\{\{(\{?)\s*([\s\S]+?)\s*\}?\}\}/g;
+
+class TemplateSyntaxError extends Error {
+    constructor(message, source, index) {
+        const line = source.slice(0, index).split('\n').length;
+        super(`${message} (line ${line})`);
+        this.name = 'TemplateSyntaxError';
+        this.line = line;
+    }
+}
+
+// 'name | "fallback"' -> { path, fallback }
+function parseExpression(expression) {
+    const [path, ...rest] = expression.split('|');
+    if (rest.length === 0) {
+        return { path: path.trim() };
+    }
+
+    const raw = rest.join('|').trim();
+    let fallback;
+    if (/^"(?:[^"\\]|\\.)*"$/.test(raw)) {
+        fallback = JSON.parse(raw);
+    } else if (/^'[^']*'$/.test(raw)) {
+        fallback = raw.slice(1, -1);
+    } else if (/^-?\d+(\.\d+)?$/.test(raw)) {
+        fallback = raw;
+    } else {
+        return null;
+    }
+    return { path: path.trim(), fallback };
+}
+
+function parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let current = root.children;
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG)) {
+        const [tag, triple, expression] = match;
+        if (match.index > lastIndex) {
+            current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + tag.length;
+
+        const block = expression.match(/^#(if|unless|each)\s+(\S+)$/);
+        const segment = expression.match(/^#segment\s+([\s\S]+)$/);
+        const close = expression.match(/^\/(if|unless|each|segment)$/);
+
+        if (segment) {
+            let compiled;
+            try {
+                compiled = compileSegment(segment[1]);
+            } catch (error) {
+                if (!(error instanceof ConditionSyntaxError)) throw error;
+                throw new TemplateSyntaxError(error.message, source, match.index);
+            }
+            const node = { type: 'segment', path: segment[1], segment: compiled, children: [], inverse: [], index: match.index };
+            current.push(node);
+            stack.push(node);
+            current = node.children;
+        } else if (block) {
+            const node = { type: block[1], path: block[2], children: [], inverse: [], index: match.index };
+            current.push(node);
+            stack.push(node);
+            current = node.children;
+        } else if (close) {
+            const node = stack[stack.length - 1];
+            if (node === root || node.type !== close[1]) {
+                throw new TemplateSyntaxError(`Unexpected {{/${close[1]}}}`, source, match.index);
+            }
+            stack.pop();
+            // Resume in the parent's inverse branch if it already hit {{else}}
+            const parent = stack[stack.length - 1];
+            current = parent.inElse ? parent.inverse : parent.children;
+        } else if (expression === 'else') {
+            const node = stack[stack.length - 1];
+            if (node === root || node.inElse) {
+                throw new TemplateSyntaxError('Unexpected {{else}}', source, match.index);
+            }
+            node.inElse = true;
+            current = node.inverse;
+        } else if (/^[#/]/.test(expression)) {
+            throw new TemplateSyntaxError(`Unknown block "{{${expression}}}"`, source, match.index);
+        } else {
+            const parsed = parseExpression(expression);
+            if (!parsed || !/^(this|@index|@first|@last|[\w$]+(\.[\w$]+)*)$/.test(parsed.path)) {
+                throw new TemplateSyntaxError(`Invalid expression "{{${expression}}}"`, source, match.index);
+            }
+            current.push({ type: 'variable', raw: triple === '{', ...parsed });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new TemplateSyntaxError(`Unclosed {{#${open.type} ${open.path}}}`, source, open.index);
+    }
+    if (lastIndex < source.length) {
+        current.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+    return root.children;
+}
+
+// Resolve a dotted path against the scopes, innermost first
+function lookup(scopes, path) {
+    if (path === 'this') return scopes[0].value;
+    if (path.startsWith('@')) return scopes[0][path.slice(1)];
+
+    const [head, ...rest] = path.split('.');
+    const scope = scopes.find(({ value }) => value !== null && typeof value === 'object' && head in value);
+    if (!scope) return undefined;
+
+    return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope.value[head]);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || value === false ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function stringify(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
+
+function renderNodes(nodes, scopes, escape, context) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'variable': {
+                let value = lookup(scopes, node.path);
+                if (isEmpty(value) && node.fallback !== undefined) value = node.fallback;
+                const text = stringify(value);
+                return escape && !node.raw ? escapeHtml(text) : text;
+            }
+            case 'if':
+            case 'unless': {
+                const truthy = !isEmpty(lookup(scopes, node.path));
+                const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+                return renderNodes(branch, scopes, escape, context);
+            }
+            case 'segment': {
+                const inSegment = Boolean(context.segment) && node.segment.test(context.segment);
+                return renderNodes(inSegment ? node.children : node.inverse, scopes, escape, context);
+            }
+            case 'each': {
+                const value = lookup(scopes, node.path);
+                const items = Array.isArray(value) ? value : [];
+                if (items.length === 0) return renderNodes(node.inverse, scopes, escape, context);
+
+                return items.map((item, index) => renderNodes(node.children, [
+                    { value: item, index, first: index === 0, last: index === items.length - 1 },
+                    ...scopes
+                ], escape, context)).join('');
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+// Compile a template once; returns render(variables, { segment }) -> string.
+// Throws TemplateSyntaxError on unbalanced blocks or malformed tags.
+function compileTemplate(source, options = {}) {
+    const nodes = parse(source);
+    return (variables, context = {}) => renderNodes(nodes, [{ value: variables }], Boolean(options.escape), context);
+}
+
+module.exports = {
+    compileTemplate,
+    TemplateSyntaxError
+};
@@ -0,0 +1,179 @@
+/**
+ * Timezone helpers for local send times
+ *
+ * A subscriber's zone is either an IANA name ("Europe/Berlin") or, when the
+ * browser only told us its UTC offset, a fixed offset ("+05:30"). Local
+ * wall-clock times are converted with Intl, so DST is handled for IANA zones.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const FIXED_OFFSET = /^([+-])(\d{2}):(\d{2})$/;
+const MAX_OFFSET_MINUTES = 14 * 60;
+
+// Real offsets stay within ±14:00; anything past that or with 60 or more
+// minutes came from a broken or hostile form
+function isValidOffset(zone) {
+    const fixed = zone.match(FIXED_OFFSET);
+    if (!fixed) return false;
+    const minutes = Number(fixed[2]) * 60 + Number(fixed[3]);
+    return Number(fixed[3]) < 60 && minutes <= MAX_OFFSET_MINUTES;
+}
+
+function isValidTimezone(zone) {
+    if (typeof zone !== 'string' || !zone) return false;
+    if (FIXED_OFFSET.test(zone)) return isValidOffset(zone);
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Minutes from JavaScript's Date#getTimezoneOffset (UTC+2 is -120) -> "+02:00"
+function offsetToZone(timezoneOffset) {
+    const minutes = -Number(timezoneOffset);
+    if (!Number.isInteger(minutes) || Math.abs(minutes) > MAX_OFFSET_MINUTES) return null;
+
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Pick a zone from what the signup form sent, preferring the IANA name
+function resolveTimezone({ timezone, timezoneOffset } = {}) {
+    if (isValidTimezone(timezone)) return timezone;
+    if (timezoneOffset !== undefined && timezoneOffset !== null && timezoneOffset !== '') {
+        return offsetToZone(timezoneOffset);
+    }
+    return null;
+}
+
+// Local wall-clock fields of an instant: { year, month, day, hour, minute, weekday (0 = Sunday) }
+function localParts(date, zone) {
+    const fixed = zone.match(FIXED_OFFSET);
+    if (fixed) {
+        const offset = (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+        const shifted = new Date(date.getTime() + offset * 60 * 1000);
+        return {
+            year: shifted.getUTCFullYear(),
+            month: shifted.getUTCMonth() + 1,
+            day: shifted.getUTCDate(),
+            hour: shifted.getUTCHours(),
+            minute: shifted.getUTCMinutes(),
+            weekday: shifted.getUTCDay()
+        };
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+// Offset of the zone from UTC at an instant, in milliseconds
+function offsetAt(time, zone) {
+    const local = localParts(new Date(time), zone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - Math.floor(time / 60000) * 60000;
+}
+
+// The instant at which the zone's clock shows the given local time. Times
+// skipped by a DST change resolve to just after the change
+function zonedTimeToUtc({ year, month, day, hour, minute }, zone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const first = wallClock - offsetAt(wallClock, zone);
+    const second = wallClock - offsetAt(first, zone);
+    if (first === second || offsetAt(second, zone) === wallClock - second) {
+        return new Date(second);
+    }
+    // The local time doesn't exist - both guesses fall either side of the gap
+    return new Date(Math.max(first, second));
+}
+
+// Same local time-of-day, `days` calendar days later
+function addLocalDays(parts, days) {
+    const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+    return {
+        ...parts,
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate()
+    };
+}
+
+// "21:00" -> minutes after midnight (null when malformed)
+function parseClockTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// "21:00-08:00" -> { start, end } in minutes (null when malformed)
+function parseQuietHours(value) {
+    const parts = String(value || '').split('-');
+    if (parts.length !== 2) return null;
+
+    const [start, end] = parts.map(parseClockTime);
+    return start === null || end === null || start === end ? null : { start, end };
+}
+
+function isQuiet(minutes, quietHours) {
+    if (!quietHours) return false;
+    return quietHours.start < quietHours.end
+        ? minutes >= quietHours.start && minutes < quietHours.end
+        : minutes >= quietHours.start || minutes < quietHours.end;
+}
+
+// Move an instant forward out of quiet hours and (optionally) weekends:
+// first to the end of the quiet period, then, if that's a Saturday or
+// Sunday, to the same local time on Monday. Sunday 22:30 with quiet hours
+// of 21:00-08:00 goes out Monday 08:00
+function nextSendableTime(date, zone, { quietHours = null, skipWeekends = false } = {}) {
+    let candidate = date;
+
+    for (let step = 0; step < 10; step += 1) {
+        const local = localParts(candidate, zone);
+        const minutes = local.hour * 60 + local.minute;
+
+        if (isQuiet(minutes, quietHours)) {
+            const day = minutes >= quietHours.end && quietHours.start > quietHours.end ? addLocalDays(local, 1) : local;
+            candidate = zonedTimeToUtc({ ...day, hour: Math.floor(quietHours.end / 60), minute: quietHours.end % 60 }, zone);
+            continue;
+        }
+        if (skipWeekends && (local.weekday === 0 || local.weekday === 6)) {
+            candidate = zonedTimeToUtc(addLocalDays(local, local.weekday === 6 ? 2 : 1), zone);
+            continue;
+        }
+        return candidate;
+    }
+    return candidate;
+}
+
+module.exports = {
+    DAY,
+    addLocalDays,
+    isValidTimezone,
+    localParts,
+    nextSendableTime,
+    parseClockTime,
+    parseQuietHours,
+    resolveTimezone,
+    zonedTimeToUtc
+};
@@ -0,0 +1,92 @@
+/**
+ * Signed tokens for links in emails (confirmation, unsubscribe, ...)
+ *
+ * A token is base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature).
+ * Each token carries a `purpose` so a token minted for one link can't be
+ * replayed against another route, and when it was issued (`iat`, seconds).
+ * Tokens signed with `expiresIn` also carry an `exp` and stop verifying
+ * after it; the rest (unsubscribe links, tracking) work for as long as the
+ * email is around.
+ *
+ * EMAIL_TOKEN_SECRET is required with NODE_ENV=production. Elsewhere a
+ * random secret is generated per process and links stop working after a
+ * restart.
+ */
+
+const crypto = require('crypto');
+
+let generatedSecret;
+
+// Throws when links would be signed with a throwaway secret in production.
+// Called at startup so a missing secret stops the deploy, not the first signup
+function requireSecret() {
+    if (!process.env.EMAIL_TOKEN_SECRET && process.env.NODE_ENV === 'production') {
+        throw new Error('EMAIL_TOKEN_SECRET must be set in production - without it email links break on every restart');
+    }
+}
+
+function getSecret() {
+    if (process.env.EMAIL_TOKEN_SECRET) return process.env.EMAIL_TOKEN_SECRET;
+    requireSecret();
+
+    if (!generatedSecret) {
+        console.warn('⚠️  EMAIL_TOKEN_SECRET is not set - email links will stop working after a restart');
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return generatedSecret;
+}
+
+function createSignature(encodedPayload) {
+    return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+// `expiresIn` (ms) limits how long the token verifies
+function signToken(purpose, data, { expiresIn } = {}) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = {
+        ...data,
+        purpose,
+        iat: issuedAt,
+        ...(expiresIn ? { exp: issuedAt + Math.ceil(expiresIn / 1000) } : {})
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${createSignature(encodedPayload)}`;
+}
+
+function isExpired(payload) {
+    return Boolean(payload.exp) && payload.exp * 1000 <= Date.now();
+}
+
+// Returns the payload, or null if the token is malformed, forged, was
+// issued for a different purpose or has expired. With `allowExpired` an
+// expired token's payload is still returned, for telling people why a
+// link stopped working
+function verifyToken(purpose, token, { allowExpired = false } = {}) {
+    if (typeof token !== 'string') return null;
+
+    const [encodedPayload, signature] = token.split('.');
+    if (!encodedPayload || !signature) return null;
+
+    const expected = Buffer.from(createSignature(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (payload.purpose !== purpose) return null;
+    return allowExpired || !isExpired(payload) ? payload : null;
+}
+
+module.exports = {
+    isExpired,
+    requireSecret,
+    signToken,
+    verifyToken
+};
@@ -0,0 +1,52 @@
+/**
+ * Open and click tracking for outgoing HTML emails
+ *
+ * Links are rewritten to go through our own /t/click/:token redirect and a
+ * 1x1 pixel pointing at /t/open/:token is added before </body>. The target
+ * URL travels inside the signed token, so the redirect can't be abused to
+ * send people anywhere else. The plain-text part is left untouched.
+ *
+ * Opens are a lower bound at best: clients that block images never load
+ * the pixel and Apple Mail Privacy Protection loads every pixel up front.
+ */
+
+const { escapeHtml } = require('./pages');
+
+const HREF = /href="(https?:\/\/[^"]+)"/g;
+
+// 43-byte transparent GIF
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function unescapeAttribute(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// trackUrl(url) -> redirect URL for a link; links in `skip` (unsubscribe)
+// are left alone so opting out never depends on the tracker
+function addTracking(html, { pixelUrl, trackUrl, skip = [] }) {
+    const tracked = html.replace(HREF, (match, href) => {
+        const url = unescapeAttribute(href);
+        return skip.includes(url) ? match : `href="${escapeHtml(trackUrl(url))}"`;
+    });
+
+    const pixel = `<img src="${escapeHtml(pixelUrl)}" width="1" height="1" alt="" style="display: block; border: 0;">`;
+    return tracked.includes('</body>')
+        ? tracked.replace('</body>', `${pixel}\n</body>`)
+        : `${tracked}\n${pixel}`;
+}
+
+// "34.5%" from counts, "0%" when nothing has been sent yet
+function formatRate(count, total) {
+    return total > 0 ? `${(count / total * 100).toFixed(1)}%` : '0%';
+}
+
+module.exports = {
+    addTracking,
+    formatRate,
+    PIXEL_GIF
+};
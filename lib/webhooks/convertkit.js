@@ -0,0 +1,35 @@
+/**
+ * Kit (ConvertKit) webhooks
+ *
+ * Kit doesn't sign its webhook requests, so the webhook URL registered in
+ * Kit carries a shared secret instead:
+ *
+ *   https://example.com/webhooks/convertkit?secret=<CONVERTKIT_WEBHOOK_SECRET>
+ *
+ * Register it for the subscriber.subscriber_bounce,
+ * subscriber.subscriber_complain and subscriber.subscriber_unsubscribe
+ * events. Kit doesn't say which event fired in the payload, so the event is
+ * passed in the URL too (&event=bounce|complaint|unsubscribe).
+ */
+
+const crypto = require('crypto');
+
+function verify({ query }, { secret }) {
+    const provided = String(query.secret || '');
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    const actual = crypto.createHash('sha256').update(provided).digest();
+    return provided.length > 0 && crypto.timingSafeEqual(expected, actual);
+}
+
+const eventTypes = ['bounce', 'complaint', 'unsubscribe'];
+
+function parse({ rawBody, query }) {
+    const type = query.event;
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    const email = payload.subscriber && payload.subscriber.email_address;
+    if (!eventTypes.includes(type) || !email) return [];
+
+    return [{ provider: 'convertkit', type, email, reason: `kit ${type}` }];
+}
+
+module.exports = { verify, parse };
@@ -0,0 +1,119 @@
+/**
+ * Inbound delivery webhooks (bounces, complaints, unsubscribes)
+ *
+ *   POST /webhooks/sendgrid     SENDGRID_WEBHOOK_PUBLIC_KEY
+ *   POST /webhooks/mailchimp    MAILCHIMP_WEBHOOK_KEY (+ MAILCHIMP_WEBHOOK_URL)
+ *   POST /webhooks/convertkit   CONVERTKIT_WEBHOOK_SECRET
+ *
+ * Each provider module verifies the request against the raw body and turns
+ * its payload into events of the form
+ *
+ *   { provider, type: 'bounce' | 'complaint' | 'unsubscribe', email, reason }
+ *
+ * which BookEmailAutomation.handleDeliveryEvent() applies. A provider
+ * without its secret configured answers 503, a bad signature 401.
+ */
+
+const express = require('express');
+const convertkit = require('./convertkit');
+const mailchimp = require('./mailchimp');
+const sendgrid = require('./sendgrid');
+
+function providerConfigs(publicBaseUrl) {
+    return {
+        sendgrid: process.env.SENDGRID_WEBHOOK_PUBLIC_KEY && {
+            publicKey: process.env.SENDGRID_WEBHOOK_PUBLIC_KEY
+        },
+        mailchimp: process.env.MAILCHIMP_WEBHOOK_KEY && {
+            key: process.env.MAILCHIMP_WEBHOOK_KEY,
+            url: process.env.MAILCHIMP_WEBHOOK_URL || `${publicBaseUrl}/webhooks/mailchimp`
+        },
+        convertkit: process.env.CONVERTKIT_WEBHOOK_SECRET && {
+            secret: process.env.CONVERTKIT_WEBHOOK_SECRET
+        }
+    };
+}
+
+const handlers = { convertkit, mailchimp, sendgrid };
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Read the request stream into req.rawBody. Done by hand rather than with
+// express.raw(), which touches req.body first - on Vercel that is a getter
+// that parses the body. Vercel functions using this router turn their own
+// parser off with `export const config = { api: { bodyParser: false } }`
+function readRawBody(req, res, next) {
+    if (Buffer.isBuffer(req.body) || req.readableEnded) {
+        // Already read by something else - the signature check gets what's left
+        req.rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        return next();
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (size > MAX_BODY_BYTES) return res.status(413).json({ error: 'Webhook payload too large' });
+        req.rawBody = Buffer.concat(chunks);
+        next();
+    });
+    req.on('error', next);
+}
+
+// getAutomation() returns the BookEmailAutomation instance to update.
+// Mount this before any body parser - signatures are checked on the raw body
+function createWebhookRouter(getAutomation) {
+    const router = express.Router();
+    router.use(readRawBody);
+
+    // Mandrill checks the URL with a HEAD request when the webhook is added
+    router.head('/mailchimp', (req, res) => res.status(200).end());
+
+    router.post('/:provider', async (req, res) => {
+        const handler = handlers[req.params.provider];
+        if (!handler) {
+            return res.status(404).json({ error: 'Unknown webhook provider' });
+        }
+
+        const config = providerConfigs(getAutomation().publicBaseUrl)[req.params.provider];
+        if (!config) {
+            return res.status(503).json({ error: `${req.params.provider} webhook is not configured` });
+        }
+
+        const request = {
+            rawBody: req.rawBody,
+            headers: req.headers,
+            query: req.query
+        };
+        if (!handler.verify(request, config)) {
+            return res.status(401).json({ error: 'Invalid webhook signature' });
+        }
+
+        let events;
+        try {
+            events = handler.parse(request);
+        } catch (error) {
+            return res.status(400).json({ error: 'Malformed webhook payload' });
+        }
+
+        try {
+            const automation = getAutomation();
+            const results = [];
+            for (const event of events) {
+                results.push(await automation.handleDeliveryEvent(event));
+            }
+            res.json({ success: true, processed: results.length });
+        } catch (error) {
+            // A 5xx makes the provider retry the delivery later
+            console.error('❌ Webhook processing error:', error);
+            res.status(500).json({ error: 'Failed to process webhook' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWebhookRouter };
@@ -0,0 +1,70 @@
+/**
+ * Mailchimp Transactional (Mandrill) webhooks
+ *
+ * Mandrill posts a form field `mandrill_events` holding a JSON array and
+ * signs it with X-Mandrill-Signature: base64(HMAC-SHA1(webhook key, webhook
+ * URL followed by every POST field name and value, sorted by name)). The URL
+ * must be exactly the one registered in Mandrill, so set
+ * MAILCHIMP_WEBHOOK_URL when it differs from PUBLIC_BASE_URL/webhooks/mailchimp.
+ *
+ * The signature covers no timestamp, but every event carries its own `ts`
+ * (Unix seconds): a batch whose newest event is more than a day old
+ * is refused as a replay.
+ */
+
+const crypto = require('crypto');
+const querystring = require('querystring');
+
+const MAX_EVENT_AGE_SECONDS = 24 * 60 * 60;
+
+function fields(rawBody) {
+    return querystring.parse(rawBody.toString('utf8'));
+}
+
+function verify({ rawBody, headers }, { key, url }) {
+    const signature = headers['x-mandrill-signature'];
+    if (!signature) return false;
+
+    const params = fields(rawBody);
+    const signedData = Object.keys(params).sort().reduce((data, name) => data + name + params[name], url);
+    const expected = crypto.createHmac('sha1', key).update(signedData).digest('base64');
+
+    return expected.length === signature.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature)) &&
+        !isStale(params.mandrill_events);
+}
+
+// The empty batch Mandrill sends when the webhook is added has no events to date
+function isStale(eventsJson) {
+    let events;
+    try {
+        events = JSON.parse(eventsJson || '[]');
+    } catch (error) {
+        return false;
+    }
+    if (!Array.isArray(events) || events.length === 0) return false;
+
+    const newest = Math.max(...events.map(event => Number(event.ts) || 0));
+    return Date.now() / 1000 - newest > MAX_EVENT_AGE_SECONDS;
+}
+
+const eventTypes = {
+    hard_bounce: 'bounce',
+    reject: 'bounce',
+    spam: 'complaint',
+    unsub: 'unsubscribe'
+};
+
+function parse({ rawBody }) {
+    const events = JSON.parse(fields(rawBody).mandrill_events || '[]');
+    return events
+        .filter(event => eventTypes[event.event] && event.msg && event.msg.email)
+        .map(event => ({
+            provider: 'mailchimp',
+            type: eventTypes[event.event],
+            email: event.msg.email,
+            reason: event.msg.bounce_description || event.event
+        }));
+}
+
+module.exports = { verify, parse };
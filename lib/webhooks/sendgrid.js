@@ -0,0 +1,70 @@
+/**
+ * SendGrid Event Webhook
+ *
+ * SendGrid posts a JSON array of events and signs each request with ECDSA:
+ * X-Twilio-Email-Event-Webhook-Signature is a base64 signature over the
+ * X-Twilio-Email-Event-Webhook-Timestamp header followed by the raw body,
+ * checked against the verification key from the SendGrid dashboard
+ * (SENDGRID_WEBHOOK_PUBLIC_KEY, base64 DER). The timestamp (Unix seconds)
+ * has to be within five minutes of now, so a captured request can't be
+ * replayed later.
+ *
+ * Only hard bounces count as bounces - "blocked" is SendGrid's soft bounce.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-twilio-email-event-webhook-signature';
+const TIMESTAMP_HEADER = 'x-twilio-email-event-webhook-timestamp';
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+function toPublicKey(key) {
+    const pem = key.includes('BEGIN PUBLIC KEY')
+        ? key
+        : `-----BEGIN PUBLIC KEY-----\n${key.trim()}\n-----END PUBLIC KEY-----`;
+    return crypto.createPublicKey(pem);
+}
+
+function verify({ rawBody, headers }, { publicKey }) {
+    const signature = headers[SIGNATURE_HEADER];
+    const timestamp = headers[TIMESTAMP_HEADER];
+    if (!signature || !timestamp) return false;
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > TIMESTAMP_TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    try {
+        return crypto.verify(
+            'sha256',
+            Buffer.concat([Buffer.from(timestamp), rawBody]),
+            toPublicKey(publicKey),
+            Buffer.from(signature, 'base64')
+        );
+    } catch (error) {
+        return false;
+    }
+}
+
+function mapEvent(event) {
+    switch (event.event) {
+        case 'bounce':
+            return event.type === 'blocked' ? null : { type: 'bounce', reason: event.reason };
+        case 'spamreport':
+            return { type: 'complaint', reason: 'spam report' };
+        case 'unsubscribe':
+        case 'group_unsubscribe':
+            return { type: 'unsubscribe', reason: event.event };
+        default:
+            return null;
+    }
+}
+
+function parse({ rawBody }) {
+    const events = JSON.parse(rawBody.toString('utf8'));
+    return (Array.isArray(events) ? events : [])
+        .map(event => ({ email: event.email, mapped: mapEvent(event) }))
+        .filter(({ email, mapped }) => email && mapped)
+        .map(({ email, mapped }) => ({ provider: 'sendgrid', email, ...mapped }));
+}
+
+module.exports = { verify, parse };
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { compileCondition, compileSegment, ConditionSyntaxError } = require('../lib/conditions');
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.parse('2026-10-19T12:00:00Z');
+
+function context({ engagement = [], ...subscriber } = {}) {
+    return {
+        now,
+        sequence: 'journal-prompts',
+        previousId: 2,
+        subscriber: { status: 'active', tags: [], fields: {}, sequences: { 'journal-prompts': {} }, ...subscriber },
+        engagement: engagement.map(event => ({ sequence: 'journal-prompts', conversion: false, ...event }))
+    };
+}
+
+const opened = (emailId, hoursAgo = 1) => ({ type: 'open', emailId, at: now - hoursAgo * HOUR });
+const clicked = (emailId, hoursAgo = 1, conversion = false) => ({ type: 'click', emailId, at: now - hoursAgo * HOUR, conversion });
+
+test('opened and clicked look at the right email', () => {
+    const condition = compileCondition('opened(previous) and not clicked(2)');
+    assert.deepStrictEqual(condition.targets, ['previous', 2]);
+
+    assert.strictEqual(condition.test(context({ engagement: [opened(2)] })), true);
+    assert.strictEqual(condition.test(context({ engagement: [opened(2), clicked(2)] })), false);
+    assert.strictEqual(condition.test(context({ engagement: [opened(1)] })), false);
+    assert.strictEqual(condition.test(context({ engagement: [{ ...opened(2), sequence: 'other' }] })), false);
+});
+
+test('time windows only count recent engagement', () => {
+    const condition = compileCondition('not opened(any, 72h)');
+    assert.strictEqual(condition.test(context({ engagement: [opened(1, 100)] })), true);
+    assert.strictEqual(condition.test(context({ engagement: [opened(1, 10)] })), false);
+    assert.strictEqual(compileCondition('clicked(conversion, 30d)').test(context({ engagement: [clicked(3, 24, true)] })), true);
+    assert.strictEqual(compileCondition('clicked(conversion)').test(context({ engagement: [clicked(3)] })), false);
+});
+
+test('profile comparisons ignore case and handle missing fields', () => {
+    const career = context({ fields: { transition: 'Career', score: '12' }, tags: ['vip'] });
+    const blank = context();
+
+    assert.strictEqual(compileCondition('fields.transition = career').test(career), true);
+    assert.strictEqual(compileCondition('fields.transition != career').test(blank), true);
+    assert.strictEqual(compileCondition('fields.score >= 10 and fields.score < 20').test(career), true);
+    assert.strictEqual(compileCondition('fields.score > 5').test(blank), false);
+    assert.strictEqual(compileCondition('tagged(VIP) and status = active').test(career), true);
+    assert.strictEqual(compileCondition('sequence = "journal-prompts"').test(career), true);
+    assert.strictEqual(compileCondition("fields.transition = 'new job'").test(
+        context({ fields: { transition: 'New Job' } })), true);
+});
+
+test('and binds tighter than or, and parentheses group', () => {
+    const subscriber = context({ tags: ['a'] });
+    assert.strictEqual(compileCondition('tagged(a) or tagged(b) and tagged(c)').test(subscriber), true);
+    assert.strictEqual(compileCondition('(tagged(a) or tagged(b)) and tagged(c)').test(subscriber), false);
+    assert.strictEqual(compileCondition('not not tagged(a)').test(subscriber), true);
+});
+
+test('mistakes are reported as syntax errors', () => {
+    const mistakes = [
+        ['opened(', /Unknown email "end of condition"/],
+        ['opend(1)', /Unknown check "opend"/],
+        ['clicked(1, soon)', /Expected a time window like 72h/],
+        ['clicked(1, 3w)', /Unexpected "3"/],
+        ['opened(conversion)', /Unknown email "conversion"/],
+        ['fields.city > london', /only compares custom fields with numbers/],
+        ['email = someone', /Unknown attribute "email"/],
+        ['tagged(a) tagged(b)', /Unexpected "tagged"/],
+        ['tagged(a) & tagged(b)', /Unexpected "&"/]
+    ];
+    for (const [source, message] of mistakes) {
+        assert.throws(() => compileCondition(source), error =>
+            error instanceof ConditionSyntaxError && message.test(error.message), source);
+    }
+});
+
+test('segments only take checks that make sense outside a sequence', () => {
+    assert.throws(() => compileSegment('opened(previous)'), /segments take any or conversion/);
+    assert.throws(() => compileSegment('clicked(2)'), /segments take any or conversion/);
+
+    const segment = compileSegment('tagged(vip) or clicked(conversion, 30d)');
+    assert.strictEqual(segment.test({ now, subscriber: { tags: [] }, engagement: [clicked(null, 48, true)] }), true);
+    assert.strictEqual(segment.test({ now, subscriber: { tags: [] }, engagement: [] }), false);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createCronHandler } = require('../lib/cron');
+
+function response() {
+    return {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function call(handler, { method = 'POST', authorization } = {}) {
+    const res = response();
+    await handler({ method, headers: authorization ? { authorization } : {} }, res);
+    return res;
+}
+
+function setup(t, secret, summary = { sent: 2, retrying: 0, deadLettered: 0, deferred: 0 }) {
+    const saved = process.env.CRON_SECRET;
+    t.after(() => {
+        if (saved === undefined) delete process.env.CRON_SECRET;
+        else process.env.CRON_SECRET = saved;
+    });
+    if (secret === undefined) delete process.env.CRON_SECRET;
+    else process.env.CRON_SECRET = secret;
+
+    const runs = [];
+    const logged = [];
+    const handler = createCronHandler(() => ({
+        processAutomationQueue: async options => {
+            runs.push(options);
+            return summary;
+        },
+        logEvent: async (type, details) => logged.push({ type, ...details })
+    }));
+    return { handler, runs, logged };
+}
+
+test('the queue drain is disabled without CRON_SECRET', async t => {
+    const { handler, runs } = setup(t, undefined);
+    assert.strictEqual((await call(handler, { authorization: 'Bearer anything' })).statusCode, 503);
+    assert.strictEqual(runs.length, 0);
+});
+
+test('a missing or wrong secret is refused', async t => {
+    const { handler, runs } = setup(t, 'cron-secret');
+    assert.strictEqual((await call(handler)).statusCode, 401);
+    assert.strictEqual((await call(handler, { authorization: 'Bearer wrong' })).statusCode, 401);
+    assert.strictEqual((await call(handler, { authorization: 'Bearer ' })).statusCode, 401);
+    assert.strictEqual(runs.length, 0);
+});
+
+test('the right secret drains the queue within the time budget', async t => {
+    const { handler, runs, logged } = setup(t, 'cron-secret');
+    const res = await call(handler, { method: 'GET', authorization: 'Bearer cron-secret' });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.sent, 2);
+    assert.deepStrictEqual(runs, [{ timeBudget: 8000 }]);
+    assert.deepStrictEqual(logged.map(entry => [entry.type, entry.sent, entry.actor]), [['queue-drained', 2, 'cron']]);
+});
+
+test('other methods and overlapping runs are refused', async t => {
+    const { handler } = setup(t, 'cron-secret', { running: true });
+    assert.strictEqual((await call(handler, { method: 'DELETE', authorization: 'Bearer cron-secret' })).statusCode, 405);
+    assert.strictEqual((await call(handler, { authorization: 'Bearer cron-secret' })).statusCode, 409);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BookEmailAutomation = require('../book-email-automation');
+const { MemoryStore } = require('../lib/stores');
+
+// A two-step sequence whose second email has an A and a B version
+function abSequence(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sequences-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const dir = path.join(root, 'ab-test');
+    fs.mkdirSync(dir);
+    const email = (file, frontMatter) => fs.writeFileSync(path.join(dir, file),
+        `---\n${Object.entries(frontMatter).map(([key, value]) => `${key}: ${value}`).join('\n')}\n---\n\nHello {{firstName}}\n`);
+    email('01-welcome.md', { id: 1, delay: 0, subject: 'Welcome', template: 'welcome' });
+    email('02-follow-up.md', { id: 2, delay: '1d', subject: 'Subject A', template: 'follow-up' });
+    email('02-follow-up.b.md', { id: 2, variant: 'b', subject: 'Subject B', template: 'follow-up-b' });
+    return root;
+}
+
+test('a queue run works out A/B results once per step, not once per email', async t => {
+    const automation = new BookEmailAutomation('console', {
+        store: new MemoryStore(),
+        doubleOptIn: false,
+        logToStdout: false,
+        sequencesDir: abSequence(t),
+        defaultSequence: 'ab-test',
+        abPromoteAfter: 1000
+    });
+    automation.transport = { send: async () => ({ messageId: 'test' }) };
+
+    for (const name of ['one', 'two', 'three', 'four']) {
+        await automation.subscribe(`${name}@example.com`, name);
+    }
+    const makeDue = async () => {
+        for (const item of await automation.store.listQueueItems({ status: 'pending' })) {
+            await automation.store.updateQueueItem(item.id, { scheduledFor: new Date(Date.now() - 1000).toISOString() });
+        }
+    };
+    const results = t.mock.method(automation, 'variantResults');
+
+    await makeDue();
+    assert.strictEqual((await automation.processAutomationQueue()).sent, 4);
+    assert.strictEqual(results.mock.callCount(), 1);
+
+    const sent = await automation.store.listQueueItems({ status: 'sent' });
+    const variants = new Set(sent.filter(item => item.emailId === 2).map(item => item.variant));
+    assert.ok([...variants].every(variant => variant === 'a' || variant === 'b'));
+
+    // The next run looks again, in case enough results have come in
+    await automation.subscribe('five@example.com', 'five');
+    await makeDue();
+    assert.strictEqual((await automation.processAutomationQueue()).sent, 1);
+    assert.strictEqual(results.mock.callCount(), 2);
+});
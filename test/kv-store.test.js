@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { KvStore, createStore } = require('../lib/stores');
+
+// Just enough of the Upstash REST API for the store: one command per request
+function fakeRedis() {
+    const strings = new Map();
+    const lists = new Map();
+    const run = ([name, key, ...args]) => {
+        switch (name) {
+            case 'GET':
+                return strings.has(key) ? strings.get(key) : null;
+            case 'SET':
+                if (args.includes('NX') && strings.has(key)) return null;
+                strings.set(key, args[0]);
+                return 'OK';
+            case 'DEL':
+                return Number(strings.delete(key));
+            case 'RPUSH':
+                lists.set(key, [...lists.get(key) || [], ...args]);
+                return lists.get(key).length;
+            case 'LRANGE':
+                return lists.get(key) || [];
+            case 'LSET':
+                lists.get(key)[args[0]] = args[1];
+                return 'OK';
+            default:
+                throw new Error(`Unsupported command ${name}`);
+        }
+    };
+
+    const fetch = async (url, { headers, body }) => {
+        if (headers.Authorization !== 'Bearer secret') {
+            return { ok: false, status: 401, json: async () => ({ error: 'Unauthorized' }) };
+        }
+        return { ok: true, status: 200, json: async () => ({ result: run(JSON.parse(body)) }) };
+    };
+    return { fetch, strings, lists };
+}
+
+function createKvStore(redis) {
+    return new KvStore({ url: 'https://kv.example.com', token: 'secret', fetch: redis.fetch });
+}
+
+test('instances sharing a database see each other\'s writes', async () => {
+    const redis = fakeRedis();
+    const first = createKvStore(redis);
+    const second = createKvStore(redis);
+
+    await first.saveSubscriber({ id: 's1', emailKey: 'a@example.com', status: 'active' });
+    const found = await second.findSubscriberByEmail('a@example.com');
+    assert.strictEqual(found.id, 's1');
+    assert.strictEqual(await second.incrementCounter('signups'), 1);
+    assert.strictEqual(await first.incrementCounter('signups'), 2);
+    assert.strictEqual(redis.strings.has('email-automation:lock'), false);
+});
+
+test('concurrent claims lease each due item to one worker', async () => {
+    const redis = fakeRedis();
+    const [first, second] = [createKvStore(redis), createKvStore(redis)];
+    await first.addQueueItems([1, 2, 3].map(emailId => ({ emailId, scheduledFor: new Date(0).toISOString() })));
+
+    const lease = claimedBy => ({ dueBefore: new Date(), claimedBy, leaseExpiresAt: new Date(Date.now() + 60000) });
+    const [a, b] = await Promise.all([first.claimQueueItems(lease('a')), second.claimQueueItems(lease('b'))]);
+    assert.strictEqual(a.length + b.length, 3);
+});
+
+test('the activity log is appended to and anonymized in place', async () => {
+    const redis = fakeRedis();
+    const store = createKvStore(redis);
+    await store.appendLog({ type: 'subscribed', subscriberId: 's1' });
+    await store.appendLog({ type: 'subscribed', subscriberId: 's2' });
+
+    assert.strictEqual(await store.anonymizeLog('s1'), 1);
+    const entries = await store.listLog();
+    assert.deepStrictEqual(entries.map(entry => entry.subscriberId), [null, 's2']);
+    assert.strictEqual(entries[0].anonymized, true);
+});
+
+test('errors from the API are raised, not swallowed', async () => {
+    const store = new KvStore({ url: 'https://kv.example.com', token: 'wrong', fetch: fakeRedis().fetch });
+    await assert.rejects(store.getSubscriber('s1'), /KV GET failed: Unauthorized/);
+});
+
+test('the KV store needs its URL and token', () => {
+    assert.throws(() => createStore({ type: 'kv', url: null }), /KV_REST_API_URL/);
+});
+
+test('on Vercel the KV store is the default once configured, and /tmp is only a fallback', t => {
+    const saved = { ...process.env };
+    t.after(() => { process.env = saved; });
+    process.env.VERCEL = '1';
+    delete process.env.EMAIL_STORE;
+
+    t.mock.method(console, 'warn', () => {});
+    assert.strictEqual(createStore().filePath, '/tmp/email-automation.json');
+
+    process.env.KV_REST_API_URL = 'https://kv.example.com';
+    process.env.KV_REST_API_TOKEN = 'secret';
+    assert.ok(createStore() instanceof KvStore);
+});
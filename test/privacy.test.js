@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const BookEmailAutomation = require('../book-email-automation');
+const { MemoryStore } = require('../lib/stores');
+const { redactAddresses, suppressionKey } = require('../lib/suppression');
+
+function createAutomation() {
+    const automation = new BookEmailAutomation('console', { store: new MemoryStore(), doubleOptIn: false, logToStdout: false });
+    automation.transport = { send: async () => ({ messageId: 'test' }) };
+    return automation;
+}
+
+const leaks = (value, address = 'reader@example.com') => JSON.stringify(value).toLowerCase().includes(address);
+
+test('addresses in free text are replaced by a hash prefix', () => {
+    const redacted = redactAddresses('550 5.1.1 <Reader@Example.com>: Recipient address rejected');
+    assert.strictEqual(redacted, `550 5.1.1 <[address ${suppressionKey('reader@example.com').slice(0, 12)}]>: Recipient address rejected`);
+    assert.strictEqual(redactAddresses('smtp;550 No such user'), 'smtp;550 No such user');
+    assert.strictEqual(redactAddresses(null), null);
+});
+
+test('bounce reasons are stored without the addresses they quote', async () => {
+    const automation = createAutomation();
+    await automation.subscribe('reader@example.com', 'Reader');
+    await automation.handleDeliveryEvent({
+        provider: 'sendgrid',
+        type: 'bounce',
+        email: 'reader@example.com',
+        reason: '550 5.1.1 <reader@example.com>: Recipient address rejected'
+    });
+
+    const suppression = await automation.getSuppression('reader@example.com');
+    assert.match(suppression.detail, /^550 5\.1\.1 <\[address [0-9a-f]{12}\]>/);
+    const bounced = (await automation.exportLog({ type: 'bounced' }))[0];
+    assert.strictEqual(bounced.reason, suppression.detail);
+    assert.ok(!leaks(suppression) && !leaks(bounced));
+});
+
+test('erasure redacts reasons stored before redaction, and failed-send errors', async () => {
+    const automation = createAutomation();
+    const { subscriberId } = await automation.subscribe('reader@example.com', 'Reader');
+    await automation.store.addSuppression({
+        hash: suppressionKey('reader@example.com'),
+        reason: 'complaint',
+        detail: 'Complaint from reader@example.com',
+        source: 'mailchimp'
+    });
+    await automation.store.appendLog({ type: 'failed', subscriberId, error: 'RCPT TO:<reader@example.com> failed' });
+
+    await automation.eraseSubscriberData('reader@example.com');
+    const suppression = await automation.getSuppression('reader@example.com');
+    assert.strictEqual(suppression.reason, 'complaint');
+    assert.match(suppression.detail, /^Complaint from \[address [0-9a-f]{12}\]$/);
+    assert.ok(!leaks(await automation.exportLog()));
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { createProvider } = require('../lib/providers');
+
+// A local API that records requests and answers from `routes`:
+// { 'POST /v3/mail/send': (body, req) => ({ status, headers, body }) }
+async function mockApi(t, routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+            const route = Object.entries(routes).find(([pattern]) =>
+                new RegExp(`^${pattern.replace(/:\w+/g, '[^/]+')}$`).test(`${req.method} ${req.url}`));
+            const reply = route ? route[1](body, req) : { status: 404, body: { error: 'Not found' } };
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+            res.end(JSON.stringify(reply.body === undefined ? {} : reply.body));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+const message = {
+    to: { email: 'Reader@Example.com', name: 'Reader' },
+    from: { email: 'author@example.com', name: 'Author' },
+    subject: 'Hello',
+    text: 'Hi there',
+    html: '<p>Hi there</p>',
+    headers: { 'List-Unsubscribe': '<https://example.com/unsubscribe>' }
+};
+
+test('SendGrid: sends with the API key and returns the message id', async t => {
+    const api = await mockApi(t, {
+        'POST /v3/mail/send': () => ({ status: 202, headers: { 'X-Message-Id': 'sg-123' }, body: '' })
+    });
+    const provider = createProvider('sendgrid', { apiKey: 'sg-key', baseUrl: api.baseUrl });
+
+    assert.deepStrictEqual(await provider.send(message), { messageId: 'sg-123' });
+    const [request] = api.requests;
+    assert.strictEqual(request.headers.authorization, 'Bearer sg-key');
+    assert.deepStrictEqual(request.body.personalizations, [{ to: [message.to] }]);
+    assert.deepStrictEqual(request.body.headers, message.headers);
+});
+
+test('SendGrid: 4xx is permanent, 429 and 5xx are retried', async t => {
+    let status = 400;
+    const api = await mockApi(t, { 'POST /v3/mail/send': () => ({ status, body: { errors: [] } }) });
+    const provider = createProvider('sendgrid', { apiKey: 'sg-key', baseUrl: api.baseUrl });
+
+    for (const [code, permanent] of [[400, true], [401, true], [429, false], [503, false]]) {
+        status = code;
+        const error = await provider.send(message).catch(e => e);
+        assert.strictEqual(error.status, code);
+        assert.strictEqual(error.permanent, permanent, `HTTP ${code}`);
+    }
+});
+
+test('Mailchimp Transactional: returns the message id, rejections are permanent', async t => {
+    let result = { _id: 'md-123', status: 'sent' };
+    const api = await mockApi(t, { 'POST /messages/send': () => ({ body: [result] }) });
+    const provider = createProvider('mailchimp', { apiKey: 'md-key', baseUrl: api.baseUrl });
+
+    assert.deepStrictEqual(await provider.send(message), { messageId: 'md-123' });
+    assert.strictEqual(api.requests[0].body.key, 'md-key');
+    assert.deepStrictEqual(api.requests[0].body.message.to, [{ ...message.to, type: 'to' }]);
+
+    result = { _id: 'md-124', status: 'rejected', reject_reason: 'hard-bounce' };
+    const error = await provider.send(message).catch(e => e);
+    assert.strictEqual(error.permanent, true);
+    assert.match(error.message, /hard-bounce/);
+});
+
+test('Mailchimp Transactional: an invalid key is permanent, a server error is not', async t => {
+    let reply = { status: 500, body: { status: 'error', name: 'Invalid_Key', message: 'Invalid API key' } };
+    const api = await mockApi(t, { 'POST /messages/send': () => reply });
+    const provider = createProvider('mailchimp', { apiKey: 'md-key', baseUrl: api.baseUrl });
+
+    const invalid = await provider.send(message).catch(e => e);
+    assert.strictEqual(invalid.permanent, true);
+    assert.match(invalid.message, /Invalid API key/);
+
+    reply = { status: 500, body: { status: 'error', name: 'GeneralError', message: 'Try again' } };
+    assert.strictEqual((await provider.send(message).catch(e => e)).permanent, false);
+});
+
+test('Kit: sends a private broadcast to a per-recipient tag named by hash', async t => {
+    const api = await mockApi(t, {
+        'POST /v4/subscribers': () => ({ body: { subscriber: { id: 11 } } }),
+        'POST /v4/tags': body => ({ body: { tag: { id: 22, name: body.name } } }),
+        'POST /v4/tags/:id/subscribers/:id': () => ({ body: {} }),
+        'POST /v4/broadcasts': () => ({ status: 201, body: { broadcast: { id: 33 } } })
+    });
+    const provider = createProvider('convertkit', { apiKey: 'kit-key', baseUrl: api.baseUrl });
+
+    assert.deepStrictEqual(await provider.send(message), { messageId: '33' });
+    assert.deepStrictEqual(api.requests.map(request => request.path),
+        ['/v4/subscribers', '/v4/tags', '/v4/tags/22/subscribers/11', '/v4/broadcasts']);
+    assert.ok(api.requests.every(request => request.headers['x-kit-api-key'] === 'kit-key'));
+
+    const [, tagRequest, , broadcastRequest] = api.requests;
+    assert.match(tagRequest.body.name, /^recipient:[0-9a-f]{24}$/);
+    assert.ok(!JSON.stringify(tagRequest.body).toLowerCase().includes('reader@example.com'));
+    assert.strictEqual(broadcastRequest.body.public, false);
+    assert.deepStrictEqual(broadcastRequest.body.subscriber_filter, [{ all: [{ type: 'tag', ids: [22] }] }]);
+
+    // Same tag for the same person, however they typed their address
+    await provider.send({ ...message, to: { ...message.to, email: 'reader@example.com' } });
+    assert.strictEqual(api.requests[5].body.name, tagRequest.body.name);
+});
+
+test('Kit: a failed step stops the send', async t => {
+    const api = await mockApi(t, {
+        'POST /v4/subscribers': () => ({ status: 422, body: { errors: ['Email address is invalid'] } })
+    });
+    const provider = createProvider('convertkit', { apiKey: 'kit-key', baseUrl: api.baseUrl });
+
+    const error = await provider.send(message).catch(e => e);
+    assert.strictEqual(error.permanent, true);
+    assert.strictEqual(api.requests.length, 1);
+});
+
+test('an unreachable API is a transient failure', async () => {
+    const provider = createProvider('sendgrid', { apiKey: 'sg-key', baseUrl: 'http://127.0.0.1:1' });
+    const error = await provider.send(message).catch(e => e);
+    assert.strictEqual(error.permanent, false);
+    assert.match(error.message, /request failed/);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const BookEmailAutomation = require('../book-email-automation');
+const { MemoryStore } = require('../lib/stores');
+const ProviderError = require('../lib/providers/provider-error');
+const { suppressionKey } = require('../lib/suppression');
+
+const past = () => new Date(Date.now() - 60 * 1000).toISOString();
+
+// An automation whose sends are recorded, or fail with `failWith` when set
+function createAutomation(options = {}) {
+    const automation = new BookEmailAutomation('console', {
+        store: new MemoryStore(),
+        doubleOptIn: false,
+        logToStdout: false,
+        ...options
+    });
+    automation.sent = [];
+    automation.transport = {
+        send: async message => {
+            if (automation.failWith) throw automation.failWith;
+            automation.sent.push(message);
+            return { messageId: `test_${automation.sent.length}` };
+        }
+    };
+    return automation;
+}
+
+// Subscribes a reader and makes their second email due; resolves to its queue item
+async function secondEmailDue(automation) {
+    const { subscriberId } = await automation.subscribe('reader@example.com', 'Reader');
+    const item = (await automation.store.listQueueItems({ subscriberId })).find(queued => queued.emailId === 2);
+    return automation.store.updateQueueItem(item.id, { scheduledFor: past() });
+}
+
+test('emails due while paused are left unleased and go out after resuming', async () => {
+    const automation = createAutomation();
+    const item = await secondEmailDue(automation);
+    await automation.pauseSubscriber(item.subscriberId);
+
+    const paused = await automation.processAutomationQueue();
+    assert.strictEqual(paused.skipped, 1);
+    const skipped = (await automation.store.listQueueItems()).find(queued => queued.id === item.id);
+    assert.strictEqual(skipped.status, 'pending');
+    assert.strictEqual(skipped.claimedBy, null);
+    assert.strictEqual(skipped.leaseExpiresAt, null);
+
+    await automation.resumeSubscriber(item.subscriberId);
+    await automation.store.updateQueueItem(item.id, { scheduledFor: past() });
+    const resumed = await automation.processAutomationQueue();
+    assert.strictEqual(resumed.sent, 1);
+});
+
+test('an expired lease is reclaimed, a live one is left to its worker', async () => {
+    const automation = createAutomation();
+    const item = await secondEmailDue(automation);
+    const sentBefore = automation.sent.length;
+
+    await automation.store.updateQueueItem(item.id, {
+        claimedBy: 'other-worker',
+        leaseExpiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+    });
+    assert.strictEqual((await automation.processAutomationQueue()).sent, 0);
+
+    await automation.store.updateQueueItem(item.id, { leaseExpiresAt: past() });
+    assert.strictEqual((await automation.processAutomationQueue()).sent, 1);
+    assert.strictEqual(automation.sent.length, sentBefore + 1);
+});
+
+test('transient failures are retried with backoff until the attempts run out', async () => {
+    const automation = createAutomation({ maxSendAttempts: 2 });
+    const item = await secondEmailDue(automation);
+    automation.failWith = new ProviderError('sendgrid responded with HTTP 503', { provider: 'sendgrid', status: 503 });
+
+    assert.strictEqual((await automation.processAutomationQueue()).retrying, 1);
+    let failed = (await automation.store.listQueueItems()).find(queued => queued.id === item.id);
+    assert.strictEqual(failed.status, 'pending');
+    assert.strictEqual(failed.attempts, 1);
+    assert.strictEqual(failed.claimedBy, null);
+    assert.ok(new Date(failed.scheduledFor) > new Date());
+
+    await automation.store.updateQueueItem(item.id, { scheduledFor: past() });
+    assert.strictEqual((await automation.processAutomationQueue()).deadLettered, 1);
+    failed = (await automation.store.listQueueItems()).find(queued => queued.id === item.id);
+    assert.strictEqual(failed.status, 'dead');
+    assert.strictEqual(failed.attempts, 2);
+    assert.ok(failed.deadAt);
+});
+
+test('a permanent failure is dead-lettered straight away', async () => {
+    const automation = createAutomation();
+    const item = await secondEmailDue(automation);
+    automation.failWith = new ProviderError('sendgrid responded with HTTP 400', { provider: 'sendgrid', status: 400, permanent: true });
+
+    assert.strictEqual((await automation.processAutomationQueue()).deadLettered, 1);
+    const dead = (await automation.store.listQueueItems()).find(queued => queued.id === item.id);
+    assert.strictEqual(dead.status, 'dead');
+    assert.strictEqual(dead.attempts, 1);
+});
+
+test('sending a step by hand to a suppressed address leaves the queue alone', async () => {
+    const automation = createAutomation();
+    const { subscriberId } = await automation.subscribe('reader@example.com', 'Reader');
+    await automation.store.addSuppression({ hash: suppressionKey('reader@example.com'), reason: 'bounce', source: 'test' });
+    const before = await automation.store.listQueueItems({ subscriberId });
+
+    const result = await automation.sendStep(subscriberId, { emailId: 1 });
+    assert.strictEqual(result.status, 'suppressed');
+    assert.deepStrictEqual(await automation.store.listQueueItems({ subscriberId }), before);
+});
+
+test('a step sent by hand goes through the queue, failures included', async () => {
+    const automation = createAutomation();
+    const { subscriberId } = await automation.subscribe('reader@example.com', 'Reader');
+
+    const sent = await automation.sendStep(subscriberId, { emailId: 3 });
+    assert.strictEqual(sent.status, 'sent');
+    assert.strictEqual(sent.messageId, sent.queueItem.messageId);
+    assert.strictEqual(sent.queueItem.claimedBy, null);
+
+    automation.failWith = new ProviderError('sendgrid responded with HTTP 503', { provider: 'sendgrid', status: 503 });
+    const failed = await automation.sendStep(subscriberId, { emailId: 4 });
+    assert.strictEqual(failed.status, 'send-failed');
+    assert.strictEqual(failed.queueItem.status, 'pending');
+    assert.strictEqual(failed.queueItem.attempts, 1);
+    assert.strictEqual(failed.queueItem.claimedBy, null);
+});
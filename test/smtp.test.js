@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+const SmtpProvider = require('../lib/providers/smtp');
+
+// A scripted SMTP server on a local port. `replies` overrides the reply to a
+// command by its verb, e.g. { RCPT: '550 No such user' }
+async function smtpServer(t, { replies = {}, capabilities = ['AUTH PLAIN LOGIN'] } = {}) {
+    const commands = [];
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let data = null;
+        const reply = line => socket.write(`${line}\r\n`);
+        reply('220 localhost ESMTP test');
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push(data.join('\r\n'));
+                        data = null;
+                        reply(replies.END || '250 Queued');
+                    } else {
+                        data.push(line);
+                    }
+                    continue;
+                }
+
+                commands.push(line);
+                const verb = line.split(/[ :]/)[0].toUpperCase();
+                if (replies[verb]) {
+                    reply(replies[verb]);
+                } else if (verb === 'EHLO') {
+                    [`250-localhost`, ...capabilities.map(item => `250-${item}`), '250 8BITMIME'].forEach(reply);
+                } else if (verb === 'AUTH') {
+                    reply('235 Authenticated');
+                } else if (verb === 'DATA') {
+                    data = [];
+                    reply('354 Go ahead');
+                } else if (verb === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { port: server.address().port, commands, messages };
+}
+
+const message = {
+    to: { email: 'reader@example.com', name: 'Reader' },
+    from: { email: 'author@example.com', name: 'Author' },
+    subject: 'Hello',
+    text: 'Hi there',
+    html: '<p>Hi there</p>'
+};
+
+function provider(port, config = {}) {
+    return new SmtpProvider({ host: '127.0.0.1', port, timeout: 2000, ...config });
+}
+
+test('delivers a message over a plain connection when no credentials are set', async t => {
+    const server = await smtpServer(t);
+    const { messageId } = await provider(server.port).send(message);
+
+    assert.match(messageId, /@example\.com>$/);
+    assert.deepStrictEqual(server.commands.slice(1, 3), ['MAIL FROM:<author@example.com>', 'RCPT TO:<reader@example.com>']);
+    assert.strictEqual(server.messages.length, 1);
+    assert.match(server.messages[0], /^Subject: Hello$/m);
+});
+
+test('refuses to send credentials without TLS or STARTTLS', async t => {
+    const server = await smtpServer(t);
+    const error = await provider(server.port, { user: 'author', pass: 'secret' }).send(message).catch(e => e);
+
+    assert.strictEqual(error.permanent, true);
+    assert.match(error.message, /SMTP_ALLOW_INSECURE_AUTH/);
+    assert.ok(!server.commands.some(line => line.startsWith('AUTH')));
+    assert.strictEqual(server.messages.length, 0);
+});
+
+test('sends credentials over a plain connection only when allowed', async t => {
+    const server = await smtpServer(t);
+    await provider(server.port, { user: 'author', pass: 'secret', allowInsecureAuth: true }).send(message);
+
+    const token = Buffer.from('\u0000author\u0000secret').toString('base64');
+    assert.ok(server.commands.includes(`AUTH PLAIN ${token}`));
+    assert.strictEqual(server.messages.length, 1);
+});
+
+test('5xx replies are permanent failures and 4xx replies are retried', async t => {
+    const rejected = await smtpServer(t, { replies: { RCPT: '550 No such user' } });
+    const permanent = await provider(rejected.port).send(message).catch(e => e);
+    assert.strictEqual(permanent.permanent, true);
+    assert.strictEqual(permanent.status, 550);
+
+    const busy = await smtpServer(t, { replies: { MAIL: '451 Try again later' } });
+    const transient = await provider(busy.port).send(message).catch(e => e);
+    assert.strictEqual(transient.permanent, false);
+    assert.strictEqual(transient.status, 451);
+});
+
+test('a connection closed before the greeting is a transient failure', async t => {
+    const closed = net.createServer(socket => socket.destroy());
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => closed.close(resolve)));
+
+    const error = await provider(closed.address().port).send(message).catch(e => e);
+    assert.strictEqual(error.permanent, false);
+    assert.match(error.message, /request failed/);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryStore } = require('../lib/stores');
+const { SubscribeGuard } = require('../lib/subscribe-guard');
+
+function submission(body) {
+    return { ip: '203.0.113.7', origin: null, body: { email: 'reader@example.com', ...body } };
+}
+
+test('the fill-time check is off unless MIN_FORM_FILL_SECONDS is set', async t => {
+    const saved = process.env.MIN_FORM_FILL_SECONDS;
+    t.after(() => {
+        if (saved === undefined) delete process.env.MIN_FORM_FILL_SECONDS;
+        else process.env.MIN_FORM_FILL_SECONDS = saved;
+    });
+    delete process.env.MIN_FORM_FILL_SECONDS;
+
+    const guard = new SubscribeGuard(new MemoryStore());
+    assert.strictEqual(await guard.check(submission({})), null);
+
+    process.env.MIN_FORM_FILL_SECONDS = '3';
+    const timed = new SubscribeGuard(new MemoryStore());
+    assert.strictEqual((await timed.check(submission({}))).reason, 'too-fast');
+    assert.strictEqual((await timed.check(submission({ formLoadedAt: Date.now() }))).reason, 'too-fast');
+    assert.strictEqual(await timed.check(submission({ formLoadedAt: Date.now() - 5000 })), null);
+});
+
+test('the honeypot is rejected silently, and logged without the IP', async () => {
+    const logged = [];
+    const guard = new SubscribeGuard(new MemoryStore(), {
+        logEvent: async (type, details) => logged.push({ type, ...details })
+    });
+    const rejection = await guard.check(submission({ website: 'http://spam.example' }));
+    assert.strictEqual(rejection.reason, 'honeypot');
+    assert.strictEqual(rejection.silent, true);
+
+    assert.deepStrictEqual(logged.map(entry => [entry.type, entry.reason]), [['subscribe-rejected', 'honeypot']]);
+    assert.match(logged[0].ipHash, /^[0-9a-f]{32}$/);
+    assert.ok(!JSON.stringify(logged).includes('203.0.113.7'));
+});
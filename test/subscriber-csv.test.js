@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const BookEmailAutomation = require('../book-email-automation');
+const { MemoryStore } = require('../lib/stores');
+
+const STATUSES = ['active', 'pending', 'expired', 'paused', 'unsubscribed', 'cancelled', 'bounced', 'complained'];
+
+function createAutomation() {
+    return new BookEmailAutomation('sendgrid', { store: new MemoryStore(), doubleOptIn: false, logToStdout: false });
+}
+
+test('an export imports back', async () => {
+    const source = createAutomation();
+    for (const status of STATUSES) {
+        await source.store.saveSubscriber({
+            id: status,
+            email: `${status}@example.com`,
+            emailKey: `${status}@example.com`,
+            firstName: '=cmd',
+            status,
+            timezone: '+05:30',
+            subscribedAt: new Date().toISOString(),
+            fields: { score: '-5' },
+            tags: ['vip'],
+            sequences: {}
+        });
+    }
+
+    const target = createAutomation();
+    const report = await target.importSubscribers(await source.exportSubscribers());
+    assert.strictEqual(report.imported, STATUSES.length, JSON.stringify(report.problems));
+
+    const imported = await target.store.listSubscribers();
+    for (const status of STATUSES) {
+        const subscriber = imported.find(s => s.email === `${status}@example.com`);
+        assert.strictEqual(subscriber.status, status === 'pending' ? 'expired' : status);
+        assert.strictEqual(subscriber.timezone, '+05:30');
+        assert.strictEqual(subscriber.firstName, '=cmd');
+        assert.deepStrictEqual(subscriber.fields, { score: '-5' });
+        assert.deepStrictEqual(subscriber.tags, ['vip']);
+    }
+});
+
+test('starting the sequence on import queues the first emails instead of sending them', async () => {
+    const automation = createAutomation();
+    automation.broadcastRate = 1;
+    const csv = 'email,firstName\r\none@example.com,One\r\ntwo@example.com,Two\r\n';
+
+    const report = await automation.importSubscribers(csv, { startSequence: true });
+    assert.strictEqual(report.imported, 2);
+
+    const firstEmails = (await automation.store.listQueueItems()).filter(item => item.emailId === 1);
+    assert.deepStrictEqual(firstEmails.map(item => item.status), ['pending', 'pending']);
+    assert.ok(firstEmails.every(item => !item.claimedBy));
+    const [first, second] = firstEmails.map(item => new Date(item.scheduledFor).getTime());
+    assert.strictEqual(second - first, 60 * 1000);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { isValidTimezone, nextSendableTime, parseQuietHours } = require('../lib/timezone');
+
+test('a weekend send moves to the same local time on Monday', () => {
+    // Saturday 2026-10-24 09:00 in New York (EDT, UTC-4)
+    const saturday = new Date('2026-10-24T13:00:00Z');
+    const next = nextSendableTime(saturday, 'America/New_York', { skipWeekends: true });
+    assert.strictEqual(next.toISOString(), '2026-10-26T13:00:00.000Z');
+});
+
+test('a send in Sunday night quiet hours goes out when they end on Monday morning', () => {
+    // Sunday 2026-10-25 22:30 in New York, quiet 21:00-08:00
+    const sunday = new Date('2026-10-26T02:30:00Z');
+    const next = nextSendableTime(sunday, 'America/New_York', {
+        skipWeekends: true,
+        quietHours: parseQuietHours('21:00-08:00')
+    });
+    assert.strictEqual(next.toISOString(), '2026-10-26T12:00:00.000Z');
+});
+
+test('quiet hours that end on a weekend move on to Monday', () => {
+    // Friday 2026-10-23 22:30 in New York, quiet 21:00-08:00
+    const friday = new Date('2026-10-24T02:30:00Z');
+    const next = nextSendableTime(friday, 'America/New_York', {
+        skipWeekends: true,
+        quietHours: parseQuietHours('21:00-08:00')
+    });
+    assert.strictEqual(next.toISOString(), '2026-10-26T12:00:00.000Z');
+});
+
+test('fixed offsets must exist', () => {
+    assert.ok(isValidTimezone('+05:30'));
+    assert.ok(isValidTimezone('-14:00'));
+    assert.ok(!isValidTimezone('+99:99'));
+    assert.ok(!isValidTimezone('+14:30'));
+    assert.ok(!isValidTimezone('+05:60'));
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const BookEmailAutomation = require('../book-email-automation');
+const { MemoryStore } = require('../lib/stores');
+const { requireSecret, signToken, verifyToken } = require('../lib/tokens');
+
+function withEnv(t, changes) {
+    const saved = { ...process.env };
+    t.after(() => { process.env = saved; });
+    Object.assign(process.env, changes);
+}
+
+test('tokens verify only for their own purpose', () => {
+    const token = signToken('unsubscribe', { sid: 's1' });
+    assert.strictEqual(verifyToken('unsubscribe', token).sid, 's1');
+    assert.strictEqual(verifyToken('confirm', token), null);
+    assert.strictEqual(verifyToken('unsubscribe', `${token.split('.')[0]}.forged`), null);
+});
+
+test('tokens with an expiry stop verifying once it passes', t => {
+    const token = signToken('confirm', { sid: 's1' }, { expiresIn: 60 * 1000 });
+    const payload = verifyToken('confirm', token);
+    assert.strictEqual(payload.exp - payload.iat, 60);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 1000 });
+    assert.strictEqual(verifyToken('confirm', token), null);
+    assert.strictEqual(verifyToken('confirm', token, { allowExpired: true }).sid, 's1');
+});
+
+test('production needs EMAIL_TOKEN_SECRET', t => {
+    withEnv(t, { NODE_ENV: 'production' });
+    delete process.env.EMAIL_TOKEN_SECRET;
+    assert.throws(() => requireSecret(), /EMAIL_TOKEN_SECRET/);
+    assert.throws(() => new BookEmailAutomation('console', { store: new MemoryStore() }), /EMAIL_TOKEN_SECRET/);
+
+    process.env.EMAIL_TOKEN_SECRET = 'a-long-random-secret';
+    assert.doesNotThrow(() => requireSecret());
+});
+
+test('an expired confirmation link says so without expiring the signup', async t => {
+    withEnv(t, { EMAIL_TOKEN_SECRET: 'a-long-random-secret' });
+    const automation = new BookEmailAutomation('console', {
+        store: new MemoryStore(),
+        doubleOptIn: true,
+        confirmationWindow: 60 * 60 * 1000,
+        logToStdout: false
+    });
+    automation.transport = { send: async () => ({ messageId: 'test' }) };
+    const { subscriberId } = await automation.subscribe('reader@example.com', 'Reader');
+
+    const stale = signToken('confirm', { sid: subscriberId }, { expiresIn: 1000 });
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 2000 });
+    assert.strictEqual((await automation.confirm(stale)).status, 'expired');
+    assert.strictEqual((await automation.store.getSubscriber(subscriberId)).status, 'pending');
+
+    const fresh = signToken('confirm', { sid: subscriberId }, { expiresIn: automation.confirmationWindow });
+    assert.strictEqual((await automation.confirm(fresh)).status, 'confirmed');
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+
+const { createWebhookRouter } = require('../lib/webhooks');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const MANDRILL_URL = 'https://example.com/webhooks/mailchimp';
+
+// The webhook router on a local port, with an automation that records events
+async function startServer(t) {
+    const handled = [];
+    const automation = {
+        publicBaseUrl: 'https://example.com',
+        handleDeliveryEvent: async event => handled.push(event)
+    };
+    const app = express();
+    app.use('/webhooks', createWebhookRouter(() => automation));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => server.close());
+
+    const post = (path, body, headers = {}) => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        method: 'POST', headers, body
+    });
+    return { handled, post };
+}
+
+function withEnv(t, values) {
+    const saved = { ...process.env };
+    t.after(() => { process.env = saved; });
+    Object.assign(process.env, values);
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function sendgridRequest(body, timestamp = now()) {
+    const signature = crypto.sign('sha256', Buffer.concat([Buffer.from(String(timestamp)), Buffer.from(body)]), privateKey);
+    return {
+        'Content-Type': 'application/json',
+        'X-Twilio-Email-Event-Webhook-Timestamp': String(timestamp),
+        'X-Twilio-Email-Event-Webhook-Signature': signature.toString('base64')
+    };
+}
+
+test('SendGrid: valid, tampered and stale requests', async t => {
+    withEnv(t, { SENDGRID_WEBHOOK_PUBLIC_KEY: publicKey.export({ type: 'spki', format: 'der' }).toString('base64') });
+    const { handled, post } = await startServer(t);
+    const body = JSON.stringify([{ event: 'bounce', type: 'bounce', email: 'a@example.com', reason: '550' }]);
+
+    assert.strictEqual((await post('/webhooks/sendgrid', body, sendgridRequest(body))).status, 200);
+    assert.deepStrictEqual(handled.map(event => [event.type, event.email]), [['bounce', 'a@example.com']]);
+
+    const tampered = body.replace('a@example.com', 'b@example.com');
+    assert.strictEqual((await post('/webhooks/sendgrid', tampered, sendgridRequest(body))).status, 401);
+
+    assert.strictEqual((await post('/webhooks/sendgrid', body, sendgridRequest(body, now() - 3600))).status, 401);
+    assert.strictEqual(handled.length, 1);
+});
+
+function mandrillRequest(events, key = 'mandrill-key') {
+    const fields = { mandrill_events: JSON.stringify(events) };
+    const signedData = Object.keys(fields).sort().reduce((data, name) => data + name + fields[name], MANDRILL_URL);
+    return {
+        body: new URLSearchParams(fields).toString(),
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'X-Mandrill-Signature': crypto.createHmac('sha1', key).update(signedData).digest('base64')
+        }
+    };
+}
+
+test('Mailchimp Transactional: valid, tampered and stale requests', async t => {
+    withEnv(t, { MAILCHIMP_WEBHOOK_KEY: 'mandrill-key', MAILCHIMP_WEBHOOK_URL: MANDRILL_URL });
+    const { handled, post } = await startServer(t);
+    const event = { event: 'hard_bounce', ts: now(), msg: { email: 'a@example.com', bounce_description: 'bad_mailbox' } };
+
+    const valid = mandrillRequest([event]);
+    assert.strictEqual((await post('/webhooks/mailchimp', valid.body, valid.headers)).status, 200);
+    assert.deepStrictEqual(handled.map(e => [e.type, e.email]), [['bounce', 'a@example.com']]);
+
+    const forged = mandrillRequest([event], 'wrong-key');
+    assert.strictEqual((await post('/webhooks/mailchimp', forged.body, forged.headers)).status, 401);
+    const tampered = valid.body.replace('a%40example.com', 'b%40example.com');
+    assert.strictEqual((await post('/webhooks/mailchimp', tampered, valid.headers)).status, 401);
+
+    const stale = mandrillRequest([{ ...event, ts: now() - 2 * 24 * 60 * 60 }]);
+    assert.strictEqual((await post('/webhooks/mailchimp', stale.body, stale.headers)).status, 401);
+    assert.strictEqual(handled.length, 1);
+});
+
+test('Kit: the shared secret in the URL is required (Kit sends no timestamp to check)', async t => {
+    withEnv(t, { CONVERTKIT_WEBHOOK_SECRET: 'kit-secret' });
+    const { handled, post } = await startServer(t);
+    const body = JSON.stringify({ subscriber: { email_address: 'a@example.com' } });
+    const headers = { 'Content-Type': 'application/json' };
+
+    assert.strictEqual((await post('/webhooks/convertkit?secret=kit-secret&event=bounce', body, headers)).status, 200);
+    assert.strictEqual((await post('/webhooks/convertkit?secret=wrong&event=bounce', body, headers)).status, 401);
+    assert.strictEqual((await post('/webhooks/convertkit?event=bounce', body, headers)).status, 401);
+    assert.deepStrictEqual(handled.map(e => [e.type, e.email]), [['bounce', 'a@example.com']]);
+});
+
+test('an unconfigured provider answers 503', async t => {
+    withEnv(t, { SENDGRID_WEBHOOK_PUBLIC_KEY: '' });
+    const { post } = await startServer(t);
+    assert.strictEqual((await post('/webhooks/sendgrid', '[]')).status, 503);
+});